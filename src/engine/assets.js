@@ -0,0 +1,259 @@
+/**
+ * Asset manager - one queue for every file the app downloads
+ *
+ * Models (GLB/FBX), splats (SPZ) and audio all go through `fetchBytes`:
+ *   - each URL is downloaded once; later requests share the same promise
+ *   - at most `maxConcurrent` downloads run at a time, highest priority first
+ *     (a small bounce sound is not stuck behind the music)
+ *   - network errors and 5xx/408/429 responses are retried with exponential
+ *     backoff; other failures (404, …) fail straight away
+ *   - a file that still fails waits for the user: `retry()` downloads it
+ *     again and, if that works, the original request succeeds after all;
+ *     `skip()` rejects it (and a later request starts afresh)
+ *   - `optional` files (e.g. a prebuilt cache that may not exist) fail
+ *     straight away instead of waiting for the user, and are then forgotten
+ *
+ * Decoded audio is cached separately (`loadAudio`), so a sound shared by
+ * several projectile types is decoded once.
+ *
+ * Events (`on(type, handler)`):
+ *   "progress": the `progress()` snapshot, whenever bytes arrive
+ *   "error":    { url, error }, once per failed download after its last
+ *               automatic retry, or when a file cannot be decoded
+ *   "retry":    { url, error, attempt, delay }
+ */
+
+export const ASSET_PRIORITY = {
+	HIGH: 2, // Needed for the first interaction (bounce sounds)
+	NORMAL: 1, // Models and voice lines
+	LOW: 0, // Large and not urgent (music, splats)
+};
+
+const RETRY_STATUS = new Set([408, 429]);
+
+/**
+ * Raised when a file cannot be downloaded or decoded.
+ * `retryable` is true for failures that may go away (network, server errors).
+ */
+export class AssetError extends Error {
+	constructor(url, message, retryable) {
+		super(`${url}: ${message}`);
+		this.name = "AssetError";
+		this.url = url;
+		this.retryable = retryable;
+	}
+}
+
+const wait = (seconds) => new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+
+/**
+ * `retryDelay` is in seconds and doubles with every retry
+ */
+export function createAssetManager({ maxConcurrent = 4, retries = 2, retryDelay = 0.5 } = {}) {
+	const requests = new Map(); // url → { promise, loaded, total, state, error, entry }
+	const decoded = new Map(); // url → Promise<AudioBuffer>
+	const queue = []; // Requests waiting for a download slot
+	const listeners = new Map();
+	let active = 0;
+
+	function on(type, handler) {
+		if (!listeners.has(type)) listeners.set(type, []);
+		listeners.get(type).push(handler);
+	}
+
+	function emit(type, event) {
+		for (const handler of listeners.get(type) ?? []) handler(event);
+	}
+
+	function progress() {
+		const files = [...requests].map(([url, request]) => ({
+			url,
+			loaded: request.loaded,
+			total: request.total,
+			state: request.state,
+			error: request.error,
+		}));
+		return {
+			files,
+			loaded: files.reduce((sum, file) => sum + file.loaded, 0),
+			// Files without a Content-Length count as their bytes so far
+			total: files.reduce((sum, file) => sum + Math.max(file.total, file.loaded), 0),
+			pending: files.filter((file) => file.state === "queued" || file.state === "loading").length,
+			failed: files.filter((file) => file.state === "failed").length,
+		};
+	}
+
+	async function download(url, request) {
+		let response;
+		try {
+			response = await fetch(url);
+		} catch (error) {
+			throw new AssetError(url, error.message, true);
+		}
+		if (!response.ok) {
+			const retryable = response.status >= 500 || RETRY_STATUS.has(response.status);
+			throw new AssetError(url, `HTTP ${response.status}`, retryable);
+		}
+
+		request.total = Number(response.headers.get("Content-Length")) || 0;
+		if (!response.body) return response.arrayBuffer();
+
+		// Read in chunks to report byte progress
+		const reader = response.body.getReader();
+		const chunks = [];
+		request.loaded = 0;
+		for (;;) {
+			const { done, value } = await reader.read();
+			if (done) break;
+			chunks.push(value);
+			request.loaded += value.length;
+			emit("progress", progress());
+		}
+
+		const bytes = new Uint8Array(request.loaded);
+		let offset = 0;
+		for (const chunk of chunks) {
+			bytes.set(chunk, offset);
+			offset += chunk.length;
+		}
+		return bytes.buffer;
+	}
+
+	async function run(url, request) {
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await download(url, request);
+			} catch (error) {
+				if (!error.retryable || attempt >= retries) throw error;
+				const delay = retryDelay * 2 ** attempt;
+				emit("retry", { url, error, attempt: attempt + 1, delay });
+				await wait(delay);
+			}
+		}
+	}
+
+	function pump() {
+		while (active < maxConcurrent && queue.length > 0) {
+			// Highest priority first, in request order within a priority
+			let next = 0;
+			for (let i = 1; i < queue.length; i++) {
+				if (queue[i].priority > queue[next].priority) next = i;
+			}
+			const [entry] = queue.splice(next, 1);
+			const { url, request } = entry;
+
+			active++;
+			request.state = "loading";
+			request.error = null;
+			run(url, request)
+				.then((bytes) => {
+					request.state = "loaded";
+					request.loaded = bytes.byteLength;
+					request.total = bytes.byteLength;
+					entry.resolve(bytes);
+				})
+				.catch((error) => {
+					if (entry.optional) {
+						requests.delete(url);
+						entry.reject(error);
+						return;
+					}
+					// Settled later by retry() or skip()
+					request.state = "failed";
+					request.error = error;
+					request.entry = entry;
+					emit("error", { url, error });
+				})
+				.finally(() => {
+					active--;
+					emit("progress", progress());
+					pump();
+				});
+		}
+	}
+
+	/**
+	 * Downloads `url` once, resolving with its ArrayBuffer
+	 */
+	function fetchBytes(url, { priority = ASSET_PRIORITY.NORMAL, optional = false } = {}) {
+		const existing = requests.get(url);
+		if (existing) {
+			// A more urgent request moves a queued download up
+			const queued = queue.find((entry) => entry.url === url);
+			if (queued) queued.priority = Math.max(queued.priority, priority);
+			return existing.promise;
+		}
+
+		const request = { loaded: 0, total: 0, state: "queued", error: null, entry: null };
+		request.promise = new Promise((resolve, reject) => {
+			queue.push({ url, request, priority, optional, resolve, reject });
+		});
+		requests.set(url, request);
+		emit("progress", progress());
+		pump();
+		return request.promise;
+	}
+
+	function failedRequests(url) {
+		return [...requests].filter(
+			([key, request]) => request.state === "failed" && (url === undefined || key === url),
+		);
+	}
+
+	/**
+	 * Downloads failed files (or just `url`) again
+	 */
+	function retry(url) {
+		for (const [, request] of failedRequests(url)) {
+			request.state = "queued";
+			request.loaded = 0;
+			queue.push(request.entry);
+			request.entry = null;
+		}
+		emit("progress", progress());
+		pump();
+	}
+
+	/**
+	 * Gives up on failed files (or just `url`), rejecting their requests
+	 */
+	function skip(url) {
+		for (const [key, request] of failedRequests(url)) {
+			requests.delete(key);
+			request.entry.reject(request.error);
+		}
+		emit("progress", progress());
+	}
+
+	/**
+	 * Downloads and decodes an audio file once per URL
+	 */
+	function loadAudio(url, audioContext, options) {
+		if (!decoded.has(url)) {
+			const promise = fetchBytes(url, options)
+				// decodeAudioData detaches its input; keep the cached bytes intact
+				.then((bytes) =>
+					audioContext.decodeAudioData(bytes.slice(0)).catch((error) => {
+						const decodeError = new AssetError(url, `cannot decode (${error.message})`, false);
+						emit("error", { url, error: decodeError });
+						throw decodeError;
+					}),
+				)
+				.catch((error) => {
+					decoded.delete(url);
+					throw error;
+				});
+			decoded.set(url, promise);
+		}
+		return decoded.get(url);
+	}
+
+	return {
+		fetchBytes,
+		loadAudio,
+		retry,
+		skip,
+		progress,
+		on,
+	};
+}
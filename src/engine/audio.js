@@ -0,0 +1,401 @@
+/**
+ * Audio system - Web Audio playback for music, voice lines and bounce sounds
+ *
+ * The AudioContext can only start after a user gesture, so `bindToFirstInteraction`
+ * defers `init` until the first click or key press.
+ *
+ * Bounces and voice lines are positional: each plays through its own PannerNode
+ * (HRTF by default, distance model from SPATIAL_AUDIO) placed at the bounce or
+ * at the speaking character's head, and the AudioListener follows the pose
+ * returned by `getListenerPose` every frame. Music is not spatialised.
+ *
+ * Everything plays through the mixer's buses (see audio_mixer.js): music,
+ * sound effects and voices each have their own volume, and music is ducked
+ * while a character speaks. A single music track loops seamlessly; a
+ * playlist of several is played back to back, each track scheduled to start
+ * exactly when the previous one ends.
+ *
+ * Spatial sounds also feed a reverb bus: a ConvolverNode whose impulse
+ * response is synthesised from the room (`setRoom`, see room_acoustics.js).
+ * Sounds behind environment surfaces are muffled by a low-pass filter; the
+ * surfaces between listener and source are counted with `getOcclusion`, when
+ * a sound starts and then `OCCLUSION.UPDATE_RATE` times per second.
+ *
+ * Files are downloaded and decoded through the asset manager: bounce sounds
+ * first, then voice lines, then music. A file that fails to load is left out
+ * once the player gives up on it (see assets.js), so one broken voice line
+ * does not silence the rest of a character's lines.
+ */
+
+import * as THREE from "three";
+import { ASSET_PRIORITY } from "./assets.js";
+import { createMixer } from "./audio_mixer.js";
+import { createImpulseResponse } from "./room_acoustics.js";
+
+/**
+ * Plays audio with Web Audio API
+ * `output` is the node the sound feeds, the speakers by default
+ * `when` is the AudioContext time to start at, 0 for now
+ */
+export function playAudio(
+	audioContext,
+	buffer,
+	volume = 1.0,
+	playbackRate = 1.0,
+	output = audioContext?.destination,
+	when = 0,
+) {
+	if (!audioContext || !buffer) return;
+
+	const source = audioContext.createBufferSource();
+	const gainNode = audioContext.createGain();
+
+	source.buffer = buffer;
+	source.connect(gainNode);
+	gainNode.connect(output);
+
+	gainNode.gain.value = volume;
+	source.playbackRate.value = playbackRate;
+	source.start(when);
+
+	return source;
+}
+
+// AudioParam positions where supported, the deprecated setters elsewhere (Firefox)
+function setNodePosition(node, position) {
+	if (node.positionX) {
+		node.positionX.value = position.x;
+		node.positionY.value = position.y;
+		node.positionZ.value = position.z;
+	} else {
+		node.setPosition(position.x, position.y, position.z);
+	}
+}
+
+const _forward = new THREE.Vector3();
+const _up = new THREE.Vector3();
+
+function setListenerPose(listener, { position, quaternion }) {
+	setNodePosition(listener, position);
+	_forward.set(0, 0, -1).applyQuaternion(quaternion);
+	_up.set(0, 1, 0).applyQuaternion(quaternion);
+	if (listener.forwardX) {
+		listener.forwardX.value = _forward.x;
+		listener.forwardY.value = _forward.y;
+		listener.forwardZ.value = _forward.z;
+		listener.upX.value = _up.x;
+		listener.upY.value = _up.y;
+		listener.upZ.value = _up.z;
+	} else {
+		listener.setOrientation(_forward.x, _forward.y, _forward.z, _up.x, _up.y, _up.z);
+	}
+}
+
+/**
+ * Creates a PannerNode at `position` that feeds `output`
+ * `settings` is SPATIAL_AUDIO from the config
+ */
+export function createPanner(audioContext, settings, position, output) {
+	const panner = audioContext.createPanner();
+	panner.panningModel = settings.PANNING_MODEL;
+	panner.distanceModel = settings.DISTANCE_MODEL;
+	panner.refDistance = settings.REF_DISTANCE;
+	panner.maxDistance = settings.MAX_DISTANCE;
+	panner.rolloffFactor = settings.ROLLOFF_FACTOR;
+	setNodePosition(panner, position);
+	panner.connect(output);
+	return panner;
+}
+
+/**
+ * Creates the audio system for a scene
+ * `getListenerPose` returns the { position, quaternion } of the listener
+ * `getOcclusion(from, to)` returns the number of surfaces between two points
+ * `assets` is the asset manager (see assets.js)
+ */
+export function createAudioSystem({
+	config,
+	manifest,
+	assets,
+	getListenerPose,
+	getOcclusion,
+}) {
+	let audioContext = null;
+	let reverb = null; // { input, convolver }
+	let room = null;
+	const mixer = createMixer({ config: config.MIXER });
+	const audioBuffers = { voices: {}, bounces: {}, music: [] };
+
+	// Default bounce sound plus one per projectile type and prop material
+	const bounceFiles = new Set([
+		config.AUDIO_FILES.BOUNCE,
+		...[...Object.values(config.PROJECTILE_TYPES), ...Object.values(config.PROPS.MATERIALS)]
+			.filter((entry) => entry?.sound)
+			.map((entry) => entry.sound),
+	]);
+	const voiceCooldowns = Object.fromEntries(
+		manifest.characters.map((character) => [character.id, 0]),
+	);
+	let musicSource = null;
+
+	// Playing spatial sounds; `getPosition` is set when the sound follows a
+	// moving position (voices follow the head)
+	const sources = new Set();
+	let occlusionTimer = 0; // Seconds until their occlusion is updated
+
+	function init() {
+		if (audioContext) return;
+
+		audioContext = new (window.AudioContext || window.webkitAudioContext)();
+		mixer.connect(audioContext);
+		createReverb();
+
+		// Failures are reported through the asset manager's "error" event
+		const load = (file, priority) =>
+			assets.loadAudio(file, audioContext, { priority }).catch(() => null);
+		const loadAll = (files, priority) =>
+			Promise.all(files.map((file) => load(file, priority))).then((buffers) =>
+				buffers.filter(Boolean),
+			);
+
+		Promise.all([
+			...[...bounceFiles].map((file) =>
+				load(file, ASSET_PRIORITY.HIGH).then((buffer) => {
+					if (buffer) audioBuffers.bounces[file] = buffer;
+				}),
+			),
+
+			...manifest.characters.map((character) =>
+				loadAll(character.voices, ASSET_PRIORITY.NORMAL).then((buffers) => {
+					audioBuffers.voices[character.id] = buffers;
+				}),
+			),
+
+			loadAll(config.AUDIO_FILES.MUSIC_PLAYLIST, ASSET_PRIORITY.LOW).then((buffers) => {
+				audioBuffers.music = buffers;
+				startMusic();
+			}),
+		]).then(() => {
+			console.log("✓ Audio system initialized");
+		});
+	}
+
+	function bindToFirstInteraction(target = document) {
+		target.addEventListener("click", init, { once: true });
+		target.addEventListener("keydown", init, { once: true });
+	}
+
+	// Sound effect and voice buses → convolver → wet level → master bus
+	function createReverb() {
+		const { buses } = mixer;
+		const input = audioContext.createGain();
+		const convolver = audioContext.createConvolver();
+		const wet = audioContext.createGain();
+		wet.gain.value = config.REVERB.WET;
+		buses.sfx.connect(input);
+		buses.voice.connect(input);
+		input.connect(convolver);
+		convolver.connect(wet);
+		wet.connect(buses.master);
+		reverb = { input, convolver };
+		updateImpulseResponse();
+	}
+
+	function updateImpulseResponse() {
+		if (!reverb || !room) return;
+		reverb.convolver.buffer = createImpulseResponse(audioContext, room, config.REVERB);
+		console.log(
+			`✓ Room reverb: ${room.volume.toFixed(0)} m³, ` +
+				`${room.surfaceArea.toFixed(0)} m², RT60 ${room.reverbTime.toFixed(2)} s`,
+		);
+	}
+
+	/**
+	 * Sets the room the reverb simulates (see `estimateRoom`)
+	 */
+	function setRoom(estimate) {
+		room = estimate;
+		updateImpulseResponse();
+	}
+
+	/**
+	 * Muffles a sound by the number of surfaces between it and the listener
+	 * `immediate` skips the smoothing, for sounds that are just starting
+	 */
+	function applyOcclusion(source, position, listenerPosition, immediate) {
+		const settings = config.OCCLUSION;
+		const surfaces = Math.min(
+			getOcclusion?.(listenerPosition, position) ?? 0,
+			settings.MAX_SURFACES,
+		);
+		const cutoff =
+			surfaces === 0
+				? audioContext.sampleRate / 2
+				: settings.CUTOFF / 2 ** (surfaces - 1);
+		const gain = settings.GAIN ** surfaces;
+
+		if (immediate) {
+			source.filter.frequency.value = cutoff;
+			source.occlusion.gain.value = gain;
+		} else {
+			const now = audioContext.currentTime;
+			source.filter.frequency.setTargetAtTime(cutoff, now, settings.SMOOTHING);
+			source.occlusion.gain.setTargetAtTime(gain, now, settings.SMOOTHING);
+		}
+	}
+
+	function startMusic() {
+		const tracks = audioBuffers.music;
+		if (!audioContext || tracks.length === 0) return;
+
+		const playTrack = (index, when) => ({
+			index,
+			source: playAudio(
+				audioContext,
+				tracks[index],
+				config.MUSIC_VOLUME,
+				1.0,
+				mixer.buses.music,
+				when,
+			),
+			end: when + tracks[index].duration,
+		});
+
+		if (tracks.length === 1) {
+			musicSource = playTrack(0, 0).source;
+			musicSource.loop = true;
+			return;
+		}
+
+		// Keep the next track queued so it starts without a gap
+		let current = playTrack(0, audioContext.currentTime);
+		let next = playTrack(1, current.end);
+		function advance() {
+			current = next;
+			next = playTrack((current.index + 1) % tracks.length, current.end);
+			current.source.onended = advance;
+			musicSource = current.source;
+		}
+		current.source.onended = advance;
+		musicSource = current.source;
+	}
+
+	/**
+	 * Plays `buffer` on `bus` from a panner at `position`, or following
+	 * `getPosition()`
+	 */
+	function playSpatial(buffer, bus, position, volume, playbackRate, getPosition) {
+		const output = mixer.buses[bus];
+		if (!position && !getPosition) {
+			return playAudio(audioContext, buffer, volume, playbackRate, output);
+		}
+
+		const start = getPosition ? getPosition() : position;
+
+		// Source → occlusion low-pass and gain → panner → bus
+		const panner = createPanner(audioContext, config.SPATIAL_AUDIO, start, output);
+		const occlusion = audioContext.createGain();
+		occlusion.connect(panner);
+		const filter = audioContext.createBiquadFilter();
+		filter.type = "lowpass";
+		filter.connect(occlusion);
+
+		const spatial = {
+			panner,
+			filter,
+			occlusion,
+			position: new THREE.Vector3().copy(start),
+			getPosition,
+		};
+		applyOcclusion(spatial, start, getListenerPose().position, true);
+		sources.add(spatial);
+
+		const source = playAudio(audioContext, buffer, volume, playbackRate, filter);
+		source.onended = () => {
+			panner.disconnect();
+			sources.delete(spatial);
+		};
+		return source;
+	}
+
+	/**
+	 * Plays a random voice line of a character from `getPosition()` (its head)
+	 * Returns its duration in seconds, or 0 when nothing was played
+	 */
+	function playVoiceLine(character, getPosition) {
+		if (voiceCooldowns[character] > 0) return 0;
+
+		const voiceBuffers = audioBuffers.voices[character];
+		if (!voiceBuffers || voiceBuffers.length === 0) return 0;
+
+		const randomBuffer =
+			voiceBuffers[Math.floor(Math.random() * voiceBuffers.length)];
+		playSpatial(randomBuffer, "voice", null, config.VOICE_VOLUME, 1.0, getPosition);
+		mixer.duck(randomBuffer.duration);
+
+		voiceCooldowns[character] = config.VOICE_COOLDOWN;
+		console.log(`${character} speaks`);
+		return randomBuffer.duration;
+	}
+
+	/**
+	 * `strength` is the hardness of the contact from 0 (soft) to 1 (full)
+	 * `sound` picks the bounce sample, by default AUDIO_FILES.BOUNCE
+	 */
+	function playBounceSound(position, strength, sound = config.AUDIO_FILES.BOUNCE) {
+		const buffer = audioBuffers.bounces[sound];
+		if (!buffer) return;
+
+		// Calculate impact-based pitch and volume; distance is up to the panner
+		const volume = 0.3 + strength * 0.7;
+		let pitch =
+			config.VELOCITY_PITCH_RANGE.min +
+			strength *
+				(config.VELOCITY_PITCH_RANGE.max - config.VELOCITY_PITCH_RANGE.min);
+		pitch *= 0.97 + Math.random() * 0.06; // Add slight random variation
+
+		playSpatial(buffer, "sfx", position, volume, pitch);
+	}
+
+	// Count down voice cooldowns, move the listener and moving sounds and
+	// update occlusion as either moves (its ray casts at a lower rate)
+	function update(deltaTime) {
+		for (const key of Object.keys(voiceCooldowns)) {
+			if (voiceCooldowns[key] > 0) voiceCooldowns[key] -= deltaTime;
+		}
+
+		if (!audioContext) return;
+		const listenerPose = getListenerPose();
+		setListenerPose(audioContext.listener, listenerPose);
+
+		occlusionTimer -= deltaTime;
+		const updateOcclusion = occlusionTimer <= 0;
+		if (updateOcclusion) occlusionTimer = 1 / config.OCCLUSION.UPDATE_RATE;
+
+		for (const source of sources) {
+			if (source.getPosition) {
+				source.position = source.getPosition();
+				setNodePosition(source.panner, source.position);
+			}
+			if (updateOcclusion) {
+				applyOcclusion(source, source.position, listenerPose.position, false);
+			}
+		}
+	}
+
+	return {
+		init,
+		bindToFirstInteraction,
+		playVoiceLine,
+		playBounceSound,
+		setRoom,
+		update,
+		mixer,
+		get context() {
+			return audioContext;
+		},
+		get musicSource() {
+			return musicSource;
+		},
+	};
+}
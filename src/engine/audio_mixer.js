@@ -0,0 +1,136 @@
+/**
+ * Audio mixer - volume buses between the sounds and the speakers
+ *
+ *   music → ducking → master → speakers
+ *   sfx   ──────────→ master
+ *   voice ──────────→ master
+ *
+ * Bus volumes (0-1) and mute are user settings, saved in the browser between
+ * sessions. They can be changed before the AudioContext exists; `connect`
+ * builds the buses once it does. While a character speaks, `duck` ramps the
+ * music down to MIXER.DUCK_LEVEL and back up when the line ends.
+ */
+
+export const MIXER_BUSES = ["master", "music", "sfx", "voice"];
+
+export const MIXER_DEFAULTS = {
+	master: 1,
+	music: 1,
+	sfx: 1,
+	voice: 1,
+	muted: false,
+};
+
+const STORAGE_KEY = "spark-physics.audio";
+const RAMP_TIME = 0.02; // seconds; avoids clicks when volumes change
+
+function clampVolume(value) {
+	return Math.min(Math.max(value, 0), 1);
+}
+
+/**
+ * Loads the mixer settings saved from a previous session
+ */
+export function loadMixerSettings() {
+	const settings = { ...MIXER_DEFAULTS };
+	try {
+		const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "{}");
+		for (const bus of MIXER_BUSES) {
+			if (Number.isFinite(saved[bus])) settings[bus] = clampVolume(saved[bus]);
+		}
+		if (typeof saved.muted === "boolean") settings.muted = saved.muted;
+	} catch (error) {
+		console.warn("Ignoring invalid saved audio settings:", error);
+	}
+	return settings;
+}
+
+/**
+ * Persists the mixer settings for the next session
+ */
+export function saveMixerSettings(settings) {
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+	} catch (error) {
+		console.warn("Could not save audio settings:", error);
+	}
+}
+
+/**
+ * `config` is MIXER from the config
+ */
+export function createMixer({ config, settings = loadMixerSettings() }) {
+	let audioContext = null;
+	let buses = null; // { master, music, sfx, voice } GainNodes
+	let ducker = null;
+	let duckEnd = 0;
+
+	function busGain(bus) {
+		if (bus === "master" && settings.muted) return 0;
+		return settings[bus];
+	}
+
+	function connect(context) {
+		if (audioContext) return;
+		audioContext = context;
+
+		buses = {};
+		for (const bus of MIXER_BUSES) {
+			buses[bus] = audioContext.createGain();
+			buses[bus].gain.value = busGain(bus);
+		}
+		ducker = audioContext.createGain();
+		buses.music.connect(ducker);
+		ducker.connect(buses.master);
+		buses.sfx.connect(buses.master);
+		buses.voice.connect(buses.master);
+		buses.master.connect(audioContext.destination);
+	}
+
+	function apply(bus) {
+		if (!buses) return;
+		buses[bus].gain.setTargetAtTime(busGain(bus), audioContext.currentTime, RAMP_TIME);
+	}
+
+	function setVolume(bus, value) {
+		settings[bus] = clampVolume(value);
+		apply(bus);
+		saveMixerSettings(settings);
+	}
+
+	function setMuted(muted) {
+		settings.muted = muted;
+		apply("master");
+		saveMixerSettings(settings);
+	}
+
+	/**
+	 * Lowers the music for `duration` seconds from now; overlapping calls
+	 * keep it down until the last one ends
+	 */
+	function duck(duration) {
+		if (!ducker) return;
+		const now = audioContext.currentTime;
+		const gain = ducker.gain;
+		duckEnd = Math.max(duckEnd, now + duration);
+
+		const releaseStart = Math.max(duckEnd, now + config.DUCK_ATTACK);
+
+		gain.cancelScheduledValues(now);
+		gain.setValueAtTime(gain.value, now);
+		gain.linearRampToValueAtTime(config.DUCK_LEVEL, now + config.DUCK_ATTACK);
+		gain.setValueAtTime(config.DUCK_LEVEL, releaseStart);
+		gain.linearRampToValueAtTime(1, releaseStart + config.DUCK_RELEASE);
+	}
+
+	return {
+		settings,
+		connect,
+		setVolume,
+		setMuted,
+		duck,
+		get buses() {
+			return buses;
+		},
+	};
+}
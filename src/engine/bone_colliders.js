@@ -0,0 +1,241 @@
+import * as RAPIER from "@dimforge/rapier3d-compat";
+import * as THREE from "three";
+import { COLLISION_GROUPS, interactionGroups } from "./physics.js";
+
+/**
+ * Bone colliders - one capsule per bone segment, fitted to the skinned mesh
+ *
+ * Each kept bone gets a capsule running from its joint towards its child
+ * joint(s), or along the parent→bone direction for leaf bones. The capsule is
+ * sized from the bind-pose vertices the bone dominates (highest skin weight):
+ * its length covers their spread along the bone and its radius their spread
+ * around it. Vertices of filtered-out bones (fingers, toes, …) count towards
+ * the nearest kept ancestor, so a hand capsule also covers the fingers. Bones
+ * without skinned vertices fall back to a joint-to-child capsule of
+ * `fallbackRadius` metres.
+ *
+ * Each capsule sits on a kinematic body that follows both the position and
+ * the rotation of its bone (`syncBoneColliders`).
+ *
+ * Bone names are filtered with case-insensitive regular expressions: a bone is
+ * kept when it matches any `include` pattern (or `include` is empty) and no
+ * `exclude` pattern.
+ */
+
+export const DEFAULT_BONE_EXCLUDE = [
+	"finger",
+	"thumb",
+	"index",
+	"middle",
+	"ring",
+	"pinky",
+	"toe",
+	"end$",
+	"eye",
+	"jaw",
+	"tongue",
+];
+
+const MIN_SAMPLES = 8; // Fewer dominated vertices than this uses the fallback
+const LENGTH_PERCENTILES = [0.02, 0.98]; // Ignore stray vertices along the bone
+const RADIUS_PERCENTILE = 0.8;
+
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Returns a predicate for bone names
+ */
+export function createBoneFilter({ include = [], exclude = DEFAULT_BONE_EXCLUDE } = {}) {
+	const includes = include.map((pattern) => new RegExp(pattern, "i"));
+	const excludes = exclude.map((pattern) => new RegExp(pattern, "i"));
+	return (name) =>
+		(includes.length === 0 || includes.some((re) => re.test(name))) &&
+		!excludes.some((re) => re.test(name));
+}
+
+function percentile(sorted, fraction) {
+	return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+/**
+ * Groups bind-pose vertices by the kept bone that dominates them,
+ * in that bone's local space
+ */
+function collectBoneSamples(character, keptBones) {
+	const samples = new Map(keptBones.map((bone) => [bone, []]));
+
+	// Nearest kept ancestor (or the bone itself)
+	function findKept(bone) {
+		let current = bone;
+		while (current && !samples.has(current)) current = current.parent;
+		return current?.isBone ? current : null;
+	}
+
+	const vertex = new THREE.Vector3();
+	character.traverse((child) => {
+		if (!child.isSkinnedMesh) return;
+
+		const { position, skinIndex, skinWeight } = child.geometry.attributes;
+		const { bones, boneInverses } = child.skeleton;
+		const targets = bones.map((bone) => {
+			const kept = findKept(bone);
+			const index = bones.indexOf(kept);
+			return index === -1 ? null : { kept, inverse: boneInverses[index] };
+		});
+
+		for (let i = 0; i < position.count; i++) {
+			let dominant = 0;
+			for (let k = 1; k < skinWeight.itemSize; k++) {
+				if (skinWeight.getComponent(i, k) > skinWeight.getComponent(i, dominant)) {
+					dominant = k;
+				}
+			}
+			const target = targets[skinIndex.getComponent(i, dominant)];
+			if (!target) continue;
+
+			vertex
+				.fromBufferAttribute(position, i)
+				.applyMatrix4(child.bindMatrix)
+				.applyMatrix4(target.inverse);
+			samples.get(target.kept).push(vertex.clone());
+		}
+	});
+
+	return samples;
+}
+
+/**
+ * Fits a capsule in bone-local space
+ * Returns { center, axis, radius, halfHeight } or null when nothing fits
+ */
+function fitCapsule(bone, samples, fallbackRadius) {
+	const childBones = bone.children.filter((child) => child.isBone);
+
+	// Bone direction: towards the child joints, or away from the parent
+	const axis = new THREE.Vector3();
+	let jointLength = 0;
+	if (childBones.length > 0) {
+		for (const child of childBones) axis.add(child.position);
+		axis.divideScalar(childBones.length);
+		jointLength = axis.length();
+	} else if (bone.parent?.isBone) {
+		axis.copy(bone.position).applyQuaternion(bone.quaternion.clone().invert());
+	}
+	if (axis.lengthSq() === 0) return null;
+	axis.normalize();
+
+	if (samples.length < MIN_SAMPLES) {
+		if (jointLength === 0) return null;
+		const radius = Math.min(fallbackRadius, jointLength / 2);
+		return {
+			center: axis.clone().multiplyScalar(jointLength / 2),
+			axis,
+			radius,
+			halfHeight: Math.max(jointLength / 2 - radius, 0),
+		};
+	}
+
+	// Spread along the bone, and the offset of the flesh from the bone line
+	const along = [];
+	const offset = new THREE.Vector3();
+	const perpendiculars = samples.map((point) => {
+		const t = point.dot(axis);
+		along.push(t);
+		const perpendicular = point.clone().addScaledVector(axis, -t);
+		offset.add(perpendicular);
+		return perpendicular;
+	});
+	offset.divideScalar(samples.length);
+
+	const distances = perpendiculars.map((p) => p.distanceTo(offset));
+	along.sort((a, b) => a - b);
+	distances.sort((a, b) => a - b);
+
+	const start = percentile(along, LENGTH_PERCENTILES[0]);
+	const end = percentile(along, LENGTH_PERCENTILES[1]);
+	const radius = Math.max(percentile(distances, RADIUS_PERCENTILE), 1e-3);
+
+	return {
+		center: offset.addScaledVector(axis, (start + end) / 2),
+		axis,
+		radius,
+		halfHeight: Math.max((end - start) / 2 - radius, 0),
+	};
+}
+
+/**
+ * Creates a kinematic capsule collider per kept bone of `character`
+ * `options`: { fallbackRadius, include, exclude }
+ * Returns [{ bone, body, collider, radius, halfHeight }] in world units
+ */
+export function createBoneColliders(character, world, options) {
+	const keepBone = createBoneFilter(options);
+	character.updateMatrixWorld(true);
+
+	const keptBones = [];
+	character.traverse((child) => {
+		if (child.isBone && keepBone(child.name)) keptBones.push(child);
+	});
+	const samples = collectBoneSamples(character, keptBones);
+
+	const boneColliders = [];
+	const position = new THREE.Vector3();
+	const rotation = new THREE.Quaternion();
+	const worldScale = new THREE.Vector3();
+
+	for (const bone of keptBones) {
+		// Bone space is scaled by the model (0.01 for most FBX files)
+		bone.getWorldScale(worldScale);
+		const scale = (Math.abs(worldScale.x) + Math.abs(worldScale.y) + Math.abs(worldScale.z)) / 3;
+
+		const capsule = fitCapsule(bone, samples.get(bone), options.fallbackRadius / scale);
+		if (!capsule) continue;
+
+		bone.getWorldPosition(position);
+		bone.getWorldQuaternion(rotation);
+		const body = world.createRigidBody(
+			RAPIER.RigidBodyDesc.kinematicPositionBased()
+				.setTranslation(position.x, position.y, position.z)
+				.setRotation(rotation),
+		);
+
+		const radius = capsule.radius * scale;
+		const halfHeight = capsule.halfHeight * scale;
+		const center = capsule.center.multiplyScalar(scale);
+		const colliderDesc = (
+			halfHeight > 0
+				? RAPIER.ColliderDesc.capsule(halfHeight, radius)
+				: RAPIER.ColliderDesc.ball(radius)
+		)
+			.setTranslation(center.x, center.y, center.z)
+			.setRotation(new THREE.Quaternion().setFromUnitVectors(Y_AXIS, capsule.axis))
+			// Overlapping capsules of neighbouring bones must not push each
+			// other apart once they turn into a ragdoll
+			.setCollisionGroups(
+				interactionGroups(
+					COLLISION_GROUPS.CHARACTER,
+					COLLISION_GROUPS.ALL & ~COLLISION_GROUPS.CHARACTER,
+				),
+			);
+		const collider = world.createCollider(colliderDesc, body);
+
+		boneColliders.push({ bone, body, collider, radius, halfHeight });
+	}
+	return boneColliders;
+}
+
+const _bonePosition = new THREE.Vector3();
+const _boneRotation = new THREE.Quaternion();
+
+/**
+ * Moves kinematic bone bodies to follow their animated bones
+ * The new pose is applied on the next physics step, so contacts see the motion
+ */
+export function syncBoneColliders(boneColliders) {
+	for (const { bone, body } of boneColliders) {
+		bone.getWorldPosition(_bonePosition);
+		bone.getWorldQuaternion(_boneRotation);
+		body.setNextKinematicTranslation(_bonePosition);
+		body.setNextKinematicRotation(_boneRotation);
+	}
+}
@@ -0,0 +1,229 @@
+import * as THREE from "three";
+
+/**
+ * Character animation - a small state machine over a character's AnimationMixer
+ *
+ * States: "idle", "talk", "flinch", "angry" and "cheer". The scene manifest
+ * maps states to clip names (`animations` on a character); without a mapping
+ * "idle" plays every clip in the file at once and the other states reuse the
+ * idle clips. State changes crossfade over ANIMATION.CROSSFADE seconds.
+ *
+ * Every state except "idle" is one-shot: it lasts for the given duration
+ * (talk: the voice line), otherwise its clip length, then returns to idle.
+ * A flinch is never cut short; whatever is requested meanwhile plays after it.
+ *
+ * On top of the clips two procedural layers keep reactions visible with any
+ * model: a flinch leans the struck bone and its parents away from the hit,
+ * and talking without a talk clip nods the head.
+ */
+
+const _axis = new THREE.Vector3();
+const _rotation = new THREE.Quaternion();
+const _parentRotation = new THREE.Quaternion();
+
+/**
+ * Rotates a bone by `angle` around a world-space `axis`
+ */
+function rotateBoneInWorld(bone, axis, angle) {
+	bone.parent.getWorldQuaternion(_parentRotation);
+	_axis.copy(axis).applyQuaternion(_parentRotation.invert());
+	_rotation.setFromAxisAngle(_axis, angle);
+	bone.quaternion.premultiply(_rotation);
+}
+
+/**
+ * First bone named "…head" under `object`, or null
+ */
+export function findHeadBone(object) {
+	let found = null;
+	object.traverse((child) => {
+		if (!found && child.isBone && /head$/i.test(child.name)) found = child;
+	});
+	return found;
+}
+
+export function createCharacterAnimator({ object, animations, mapping, settings, name }) {
+	const mixer = new THREE.AnimationMixer(object);
+
+	function findClips(names) {
+		const list = Array.isArray(names) ? names : [names];
+		return list.flatMap((clipName) => {
+			const clip = THREE.AnimationClip.findByName(animations, clipName);
+			if (!clip) console.warn(`Character "${name}" has no animation clip "${clipName}"`);
+			return clip ? [clip] : [];
+		});
+	}
+
+	// State (or directional flinch) → clips, falling back to idle
+	const idleClips = mapping.idle ? findClips(mapping.idle) : animations;
+	const stateClips = new Map();
+	for (const [state, names] of Object.entries(mapping)) {
+		if (state === "flinch" && !Array.isArray(names) && typeof names === "object") {
+			for (const [direction, clipNames] of Object.entries(names)) {
+				stateClips.set(`flinch.${direction}`, findClips(clipNames));
+			}
+		} else if (state !== "idle") {
+			stateClips.set(state, findClips(names));
+		}
+	}
+
+	function getClips(state, direction) {
+		const clips = stateClips.get(`${state}.${direction}`) ?? stateClips.get(state);
+		return clips?.length > 0 ? clips : null;
+	}
+
+	const head = findHeadBone(object);
+
+	let state = "idle";
+	let remaining = Infinity;
+	let next = null; // State requested during a flinch
+	let activeActions = [];
+	let talkTime = 0;
+	let lean = null; // { bones, axis, time }
+
+	function crossfade(clips, oneShot) {
+		const actions = clips.map((clip) => mixer.clipAction(clip));
+		for (const action of activeActions) {
+			if (!actions.includes(action)) action.fadeOut(settings.CROSSFADE);
+		}
+		for (const action of actions) {
+			if (activeActions.includes(action) && !oneShot) continue;
+			action.reset();
+			action.setLoop(oneShot ? THREE.LoopOnce : THREE.LoopRepeat, Infinity);
+			action.clampWhenFinished = oneShot;
+			action.fadeIn(settings.CROSSFADE).play();
+		}
+		activeActions = actions;
+	}
+
+	function enter(newState, duration, direction) {
+		state = newState;
+		talkTime = 0;
+
+		if (newState === "idle") {
+			remaining = Infinity;
+			crossfade(idleClips, false);
+			return;
+		}
+
+		const clips = getClips(newState, direction);
+		remaining =
+			duration ??
+			(clips ? Math.max(...clips.map((clip) => clip.duration)) : settings.STATE_TIME);
+		crossfade(clips ?? idleClips, Boolean(clips));
+	}
+
+	/**
+	 * Switches to `newState` for `duration` seconds (defaults to the clip length)
+	 */
+	function play(newState, duration) {
+		if (state === "flinch" && newState !== "flinch") {
+			next = { state: newState, duration };
+			return;
+		}
+		enter(newState, duration);
+	}
+
+	/**
+	 * Flinches away from a hit on `bone`; `direction` is the push direction
+	 * in world space (from the contact into the body)
+	 */
+	function flinch(bone, direction) {
+		// Which side was hit, in the character's frame (models face +Z)
+		const local = direction.clone().applyQuaternion(
+			object.getWorldQuaternion(new THREE.Quaternion()).invert(),
+		);
+		const side =
+			Math.abs(local.x) > Math.abs(local.z)
+				? local.x > 0 ? "right" : "left"
+				: local.z > 0 ? "back" : "front";
+
+		// Resume an interrupted one-shot (talking, cheering, …) afterwards
+		if (state !== "flinch" && state !== "idle") next ??= { state, duration: remaining };
+		enter("flinch", getClips("flinch", side) ? undefined : settings.FLINCH_TIME, side);
+
+		// Lean the struck bone and its parents (not the root) away from the hit
+		const bones = [];
+		for (let current = bone; current?.parent?.isBone; current = current.parent) {
+			bones.push(current);
+		}
+		const horizontal = new THREE.Vector3(direction.x, 0, direction.z);
+		if (horizontal.lengthSq() === 0 || bones.length === 0) return side;
+		lean = {
+			bones,
+			axis: new THREE.Vector3(0, 1, 0).cross(horizontal.normalize()),
+			time: 0,
+		};
+		return side;
+	}
+
+	// Bones posed by the layers, with their clip pose to restore next frame
+	// (bones without tracks would otherwise keep accumulating the layers)
+	let layered = [];
+
+	function touch(bone) {
+		if (!layered.some(([touched]) => touched === bone)) {
+			layered.push([bone, bone.quaternion.clone()]);
+		}
+	}
+
+	// Procedural layers, applied after the mixer has posed the skeleton
+	function applyLayers(deltaTime) {
+		if (lean) {
+			lean.time += deltaTime;
+			const t = lean.time / settings.FLINCH_TIME;
+			if (t >= 1) {
+				lean = null;
+			} else {
+				const angle =
+					THREE.MathUtils.degToRad(settings.FLINCH_ANGLE) * Math.sin(Math.PI * t);
+				// Spread the lean along the chain, strongest at the struck bone
+				lean.bones.forEach((bone, index) => {
+					touch(bone);
+					rotateBoneInWorld(bone, lean.axis, angle * 0.6 ** index);
+				});
+			}
+		}
+
+		if (state === "talk" && !getClips("talk") && head) {
+			talkTime += deltaTime;
+			const nod =
+				THREE.MathUtils.degToRad(settings.TALK_NOD_ANGLE) * Math.sin(talkTime * 12);
+			touch(head);
+			head.rotateX(nod);
+		}
+	}
+
+	/**
+	 * Advances the mixer and the state timer
+	 * `layers` is false while a ragdoll drives the skeleton
+	 */
+	function update(deltaTime, layers = true) {
+		for (const [bone, quaternion] of layered) bone.quaternion.copy(quaternion);
+		layered = [];
+
+		mixer.update(deltaTime);
+
+		remaining -= deltaTime;
+		if (remaining <= 0) {
+			const queued = next;
+			next = null;
+			if (queued) enter(queued.state, queued.duration);
+			else enter("idle");
+		}
+
+		if (layers) applyLayers(deltaTime);
+	}
+
+	enter("idle");
+
+	return {
+		mixer,
+		play,
+		flinch,
+		update,
+		get state() {
+			return state;
+		},
+	};
+}
@@ -0,0 +1,183 @@
+import { Vector3 } from "three";
+import { createBoneColliders, syncBoneColliders } from "./bone_colliders.js";
+import { createCharacterAnimator, findHeadBone } from "./character_animation.js";
+import { loadCharacterModel } from "./loaders.js";
+import { setupMaterialsForLighting } from "./materials.js";
+import { createRagdoll } from "./ragdoll.js";
+
+/**
+ * Character system - loads every character listed in the scene manifest,
+ * drives its animation states and keeps its bone colliders in sync
+ *
+ * `hit` reports a projectile contact on a bone. Every hit makes the character
+ * flinch away from it, repeated hits make it angry, and hits of at least
+ * RAGDOLL.IMPULSE_THRESHOLD knock it over (see ragdoll.js) while the other
+ * characters cheer. `talk` plays the talk state while a voice line runs.
+ *
+ * Bone colliders and ragdolls need the physics world (`attachPhysics`);
+ * until it is attached characters are only animated. `onCharacterLoaded` is
+ * called with each character's object once it is placed in the scene.
+ */
+export function createCharacterSystem({ manifest, scene, config, loaders, onCharacterLoaded }) {
+	const characters = {};
+	const animationMixers = {};
+	const animators = {};
+	const boneColliders = {};
+	const ragdolls = {};
+	const recentHits = {}; // Character id → times of recent hits
+	const heads = {};
+
+	let time = 0;
+	let physics = null;
+
+	function createPhysicsParts(id, object, definition) {
+		const { world, collisionEvents } = physics;
+		boneColliders[id] = createBoneColliders(object, world, {
+			fallbackRadius: definition.collider.radius,
+			include: definition.collider.include,
+			exclude: definition.collider.exclude,
+		});
+		for (const { bone, collider } of boneColliders[id]) {
+			collisionEvents.register(collider, { kind: "bone", characterId: id, bone });
+		}
+		ragdolls[id] = createRagdoll({
+			character: object,
+			boneColliders: boneColliders[id],
+			world,
+			settings: config.RAGDOLL,
+		});
+	}
+
+	/**
+	 * Gives loaded characters (and those still loading) their bone colliders
+	 */
+	function attachPhysics({ world, collisionEvents }) {
+		physics = { world, collisionEvents };
+		for (const definition of manifest.characters) {
+			const object = characters[definition.id];
+			if (object && !boneColliders[definition.id]) {
+				createPhysicsParts(definition.id, object, definition);
+			}
+		}
+	}
+
+	function loadCharacter(definition) {
+		return loadCharacterModel(definition.model, loaders)
+			.then(({ object, animations }) => {
+				object.position.set(...definition.position);
+				object.rotation.set(...definition.rotation);
+				object.scale.set(...definition.scale);
+				scene.add(object);
+
+				setupMaterialsForLighting(object, definition.brightness);
+
+				// Setup animation
+				animators[definition.id] = createCharacterAnimator({
+					object,
+					animations: animations ?? [],
+					mapping: definition.animations,
+					settings: config.ANIMATION,
+					name: definition.id,
+				});
+				animationMixers[definition.id] = animators[definition.id].mixer;
+				recentHits[definition.id] = [];
+
+				if (physics) createPhysicsParts(definition.id, object, definition);
+				heads[definition.id] = findHeadBone(object);
+				characters[definition.id] = object;
+
+				onCharacterLoaded?.(object, definition.id);
+				console.log(`✓ Character "${definition.id}" loaded`);
+			})
+			.catch((error) => {
+				console.error(`Failed to load character "${definition.id}":`, error);
+			});
+	}
+
+	function load() {
+		return Promise.all(manifest.characters.map(loadCharacter));
+	}
+
+	/**
+	 * A projectile struck `bone` of a character at `point` with `impulse` N·s
+	 */
+	function hit({ characterId, bone, point, impulse }) {
+		const animator = animators[characterId];
+		const ragdoll = ragdolls[characterId];
+		if (!animator || !ragdoll || ragdoll.state !== "animated") return;
+
+		// Push from the contact point into the struck capsule
+		const struck = boneColliders[characterId].find((entry) => entry.bone === bone);
+		const direction = new Vector3().copy(struck.collider.translation()).sub(point);
+
+		if (impulse >= config.RAGDOLL.IMPULSE_THRESHOLD) {
+			ragdoll.knockDown(
+				bone,
+				direction,
+				Math.min(impulse / config.RAGDOLL.IMPULSE_THRESHOLD, 2),
+			);
+			for (const [id, other] of Object.entries(animators)) {
+				if (id !== characterId) other.play("cheer");
+			}
+			return;
+		}
+
+		animator.flinch(bone, direction);
+
+		const { ANGRY_HITS, ANGRY_WINDOW } = config.ANIMATION;
+		const hits = recentHits[characterId].filter((t) => time - t < ANGRY_WINDOW);
+		hits.push(time);
+		recentHits[characterId] = hits;
+		if (hits.length >= ANGRY_HITS) {
+			animator.play("angry");
+			recentHits[characterId] = [];
+		}
+	}
+
+	/**
+	 * World position of a character's head bone (its origin without one),
+	 * where its voice comes from
+	 */
+	function getHeadPosition(characterId, target = new Vector3()) {
+		const object = characters[characterId];
+		if (!object) return target.set(0, 0, 0);
+		return (heads[characterId] ?? object).getWorldPosition(target);
+	}
+
+	/**
+	 * A voice line of `duration` seconds started for a character
+	 */
+	function talk(characterId, duration) {
+		animators[characterId]?.play("talk", duration);
+	}
+
+	function update(deltaTime) {
+		time += deltaTime;
+
+		for (const ragdoll of Object.values(ragdolls)) ragdoll.beforeAnimation();
+
+		// Update character animations; procedural layers pause while a ragdoll poses the bones
+		for (const [id, animator] of Object.entries(animators)) {
+			animator.update(deltaTime, ragdolls[id]?.state === "animated");
+		}
+
+		// Update bone colliders to follow animated bones, unless they are a ragdoll
+		for (const [id, colliders] of Object.entries(boneColliders)) {
+			if (ragdolls[id].update(deltaTime)) syncBoneColliders(colliders);
+		}
+	}
+
+	return {
+		characters,
+		animationMixers,
+		animators,
+		boneColliders,
+		ragdolls,
+		load,
+		attachPhysics,
+		hit,
+		talk,
+		getHeadPosition,
+		update,
+	};
+}
@@ -0,0 +1,325 @@
+import * as RAPIER from "@dimforge/rapier3d-compat";
+import * as THREE from "three";
+import { ConvexHull } from "three/examples/jsm/math/ConvexHull.js";
+
+/**
+ * Collider builder - turns meshes into collider shapes
+ *
+ * Modes:
+ *   "trimesh":       the mesh as it is (hollow, any shape)
+ *   "simplified":    a trimesh with vertices merged on a `cellSize` grid
+ *   "convexHull":    one solid convex shape around the mesh
+ *   "decomposition": several convex shapes (approximate convex decomposition);
+ *                    the mesh is split along its longest axis, deepest
+ *                    concavity first, until no part is more than `concavity`
+ *                    metres from convex or there are `maxParts` parts.
+ *                    Flat parts stay trimeshes.
+ *   "none":          no collider
+ *
+ * Convex shapes are solid, so they suit props and furniture, not the room
+ * shell around the player.
+ *
+ * Each mesh uses the `settings` defaults, overridden by the first entry of
+ * `settings.overrides` whose pattern (a case-insensitive regular expression)
+ * matches the mesh name, then by a `collider` glTF extra on the mesh or its
+ * node, e.g. `"extras": { "collider": "convexHull" }` or
+ * `"extras": { "collider": { "mode": "decomposition", "maxParts": 8 } }`.
+ *
+ * Shapes are plain data, so they can be cached (see collider_cache.js):
+ *   { type: "trimesh", vertices: Float32Array, indices: Uint32Array }
+ *   { type: "convex", vertices: Float32Array }
+ */
+
+export const COLLIDER_MODES = ["trimesh", "simplified", "convexHull", "decomposition", "none"];
+
+export const COLLIDER_DEFAULTS = {
+	mode: "trimesh",
+	cellSize: 0.05, // metres
+	concavity: 0.05, // metres
+	maxParts: 32,
+};
+
+const CONCAVITY_SAMPLES = 256; // Vertices tested per part
+const MIN_HULL_THICKNESS = 1e-4; // metres; thinner hulls are flat
+
+/**
+ * Builds vertex and index buffers for a trimesh collider from a mesh,
+ * baked into world space
+ */
+export function getWorldSpaceTrimesh(mesh) {
+	const geometry = mesh.geometry.clone();
+	mesh.updateWorldMatrix(true, false);
+	geometry.applyMatrix4(mesh.matrixWorld);
+
+	const vertices = new Float32Array(geometry.attributes.position.array);
+	let indices;
+
+	if (geometry.index) {
+		indices = new Uint32Array(geometry.index.array);
+	} else {
+		const count = geometry.attributes.position.count;
+		indices = new Uint32Array(count);
+		for (let i = 0; i < count; i++) indices[i] = i;
+	}
+
+	geometry.dispose();
+	return { vertices, indices };
+}
+
+// A mode name or { mode, cellSize, concavity, maxParts }
+function toOptions(value) {
+	return typeof value === "string" ? { mode: value } : { ...value };
+}
+
+/**
+ * The collider options for one mesh (see the module comment)
+ */
+export function resolveColliderOptions(mesh, settings = {}) {
+	const { overrides = {}, ...defaults } = settings;
+	let options = { ...COLLIDER_DEFAULTS };
+	for (const [key, value] of Object.entries(defaults)) {
+		if (key in COLLIDER_DEFAULTS && value !== undefined) options[key] = value;
+	}
+
+	const match = Object.entries(overrides).find(([pattern]) =>
+		new RegExp(pattern, "i").test(mesh.name),
+	);
+	if (match) options = { ...options, ...toOptions(match[1]) };
+
+	const extras = mesh.userData.collider ?? mesh.parent?.userData.collider;
+	if (extras !== undefined) options = { ...options, ...toOptions(extras) };
+
+	if (!COLLIDER_MODES.includes(options.mode)) {
+		console.warn(`Unknown collider mode "${options.mode}" for mesh "${mesh.name}"`);
+		options.mode = COLLIDER_DEFAULTS.mode;
+	}
+	return options;
+}
+
+/**
+ * Merges vertices that fall in the same `cellSize` grid cell and drops the
+ * triangles that collapse
+ */
+function simplifyTrimesh({ vertices, indices }, cellSize) {
+	const cells = new Map(); // Cell key → new vertex index
+	const sums = [];
+	const remap = new Uint32Array(vertices.length / 3);
+
+	for (let i = 0; i < remap.length; i++) {
+		const x = vertices[3 * i];
+		const y = vertices[3 * i + 1];
+		const z = vertices[3 * i + 2];
+		const key = `${Math.round(x / cellSize)},${Math.round(y / cellSize)},${Math.round(z / cellSize)}`;
+		let index = cells.get(key);
+		if (index === undefined) {
+			index = sums.length;
+			cells.set(key, index);
+			sums.push([0, 0, 0, 0]);
+		}
+		const sum = sums[index];
+		sum[0] += x;
+		sum[1] += y;
+		sum[2] += z;
+		sum[3]++;
+		remap[i] = index;
+	}
+
+	// Each merged vertex sits at the average of the vertices it replaces
+	const merged = new Float32Array(sums.length * 3);
+	sums.forEach(([x, y, z, count], i) => {
+		merged[3 * i] = x / count;
+		merged[3 * i + 1] = y / count;
+		merged[3 * i + 2] = z / count;
+	});
+
+	const triangles = [];
+	const seen = new Set();
+	for (let t = 0; t < indices.length; t += 3) {
+		const a = remap[indices[t]];
+		const b = remap[indices[t + 1]];
+		const c = remap[indices[t + 2]];
+		if (a === b || b === c || a === c) continue;
+		const key = [a, b, c].sort((m, n) => m - n).join(",");
+		if (seen.has(key)) continue;
+		seen.add(key);
+		triangles.push(a, b, c);
+	}
+
+	return { vertices: merged, indices: new Uint32Array(triangles) };
+}
+
+/**
+ * Convex hull of `points` (Vector3[]), or null when they are flat or too few
+ */
+function computeHull(points) {
+	if (points.length < 4) return null;
+	try {
+		const hull = new ConvexHull().setFromPoints(points);
+		if (hull.faces.length < 4) return null;
+		// A flat hull has every point on the plane of its first face
+		const thickness = points.reduce(
+			(max, point) => Math.max(max, -hull.faces[0].distanceToPoint(point)),
+			0,
+		);
+		return thickness > MIN_HULL_THICKNESS ? hull : null;
+	} catch {
+		return null;
+	}
+}
+
+function hullVertices(hull) {
+	const unique = new Set();
+	for (const face of hull.faces) {
+		let edge = face.edge;
+		do {
+			unique.add(edge.head().point);
+			edge = edge.next;
+		} while (edge !== face.edge);
+	}
+	const vertices = new Float32Array(unique.size * 3);
+	[...unique].forEach((point, i) => point.toArray(vertices, 3 * i));
+	return vertices;
+}
+
+function collectPoints({ vertices, indices }, triangles) {
+	const used = new Set();
+	for (const t of triangles) {
+		used.add(indices[3 * t]);
+		used.add(indices[3 * t + 1]);
+		used.add(indices[3 * t + 2]);
+	}
+	return [...used].map((i) => new THREE.Vector3().fromArray(vertices, 3 * i));
+}
+
+/**
+ * How far the part's vertices lie inside its hull: 0 for a convex part
+ */
+function measureConcavity(hull, points) {
+	const step = Math.max(1, Math.floor(points.length / CONCAVITY_SAMPLES));
+	let concavity = 0;
+	for (let i = 0; i < points.length; i += step) {
+		let depth = Infinity;
+		for (const face of hull.faces) {
+			depth = Math.min(depth, -face.distanceToPoint(points[i]));
+		}
+		concavity = Math.max(concavity, depth);
+	}
+	return concavity;
+}
+
+function createPart(trimesh, triangles) {
+	const points = collectPoints(trimesh, triangles);
+	const hull = computeHull(points);
+	return {
+		triangles,
+		hull,
+		concavity: hull ? measureConcavity(hull, points) : 0,
+	};
+}
+
+/**
+ * Splits a part in two at the median triangle centre along its longest axis
+ */
+function splitPart(trimesh, part) {
+	const { vertices, indices } = trimesh;
+	const centres = part.triangles.map((t) => {
+		const centre = new THREE.Vector3();
+		for (let k = 0; k < 3; k++) {
+			centre.x += vertices[3 * indices[3 * t + k]] / 3;
+			centre.y += vertices[3 * indices[3 * t + k] + 1] / 3;
+			centre.z += vertices[3 * indices[3 * t + k] + 2] / 3;
+		}
+		return centre;
+	});
+
+	const bounds = new THREE.Box3().setFromPoints(centres);
+	const size = bounds.getSize(new THREE.Vector3());
+	const axis = size.x >= size.y && size.x >= size.z ? "x" : size.y >= size.z ? "y" : "z";
+
+	const order = part.triangles
+		.map((t, i) => [t, centres[i][axis]])
+		.sort((a, b) => a[1] - b[1])
+		.map(([t]) => t);
+	const half = Math.floor(order.length / 2);
+	return [createPart(trimesh, order.slice(0, half)), createPart(trimesh, order.slice(half))];
+}
+
+function decompose(trimesh, options) {
+	const all = Array.from({ length: trimesh.indices.length / 3 }, (_, t) => t);
+	const parts = [createPart(trimesh, all)];
+
+	while (parts.length < options.maxParts) {
+		let worst = 0;
+		for (let i = 1; i < parts.length; i++) {
+			if (parts[i].concavity > parts[worst].concavity) worst = i;
+		}
+		const part = parts[worst];
+		if (part.concavity <= options.concavity || part.triangles.length < 2) break;
+		parts.splice(worst, 1, ...splitPart(trimesh, part));
+	}
+
+	return parts.map((part) => {
+		if (part.hull) return { type: "convex", vertices: hullVertices(part.hull) };
+
+		// Flat part: keep its triangles, with only the vertices they use
+		const remap = new Map();
+		const vertices = [];
+		const indices = new Uint32Array(part.triangles.length * 3);
+		part.triangles.forEach((t, i) => {
+			for (let k = 0; k < 3; k++) {
+				const index = trimesh.indices[3 * t + k];
+				if (!remap.has(index)) {
+					remap.set(index, remap.size);
+					vertices.push(...trimesh.vertices.subarray(3 * index, 3 * index + 3));
+				}
+				indices[3 * i + k] = remap.get(index);
+			}
+		});
+		return { type: "trimesh", vertices: new Float32Array(vertices), indices };
+	});
+}
+
+/**
+ * Builds the collider shapes for one mesh, in world space
+ */
+export function buildMeshShapes(mesh, options) {
+	const trimesh = getWorldSpaceTrimesh(mesh);
+	switch (options.mode) {
+		case "none":
+			return [];
+		case "simplified":
+			return [{ type: "trimesh", ...simplifyTrimesh(trimesh, options.cellSize) }];
+		case "convexHull": {
+			const all = Array.from({ length: trimesh.indices.length / 3 }, (_, t) => t);
+			const hull = computeHull(collectPoints(trimesh, all));
+			return hull
+				? [{ type: "convex", vertices: hullVertices(hull) }]
+				: [{ type: "trimesh", ...trimesh }];
+		}
+		case "decomposition":
+			return decompose(trimesh, options);
+		default:
+			return [{ type: "trimesh", ...trimesh }];
+	}
+}
+
+/**
+ * Builds the collider shapes for every mesh under `root`
+ */
+export function buildColliderShapes(root, settings) {
+	const shapes = [];
+	root.traverse((child) => {
+		if (!child.isMesh) return;
+		shapes.push(...buildMeshShapes(child, resolveColliderOptions(child, settings)));
+	});
+	return shapes;
+}
+
+/**
+ * Rapier collider description for a shape
+ */
+export function createColliderDesc(shape) {
+	return shape.type === "convex"
+		? RAPIER.ColliderDesc.convexHull(shape.vertices)
+		: RAPIER.ColliderDesc.trimesh(shape.vertices, shape.indices);
+}
@@ -0,0 +1,168 @@
+import { ASSET_PRIORITY } from "./assets.js";
+import { buildColliderShapes } from "./collider_builder.js";
+
+/**
+ * Collider cache - stores built collider shapes (see collider_builder.js) so
+ * a convex decomposition is not recomputed on every visit
+ *
+ * Shapes come from, in order:
+ *   1. a prebuilt `cacheFile` shipped next to the collision mesh (made with
+ *      `environment.downloadColliders()`)
+ *   2. the browser's Cache Storage, when `cache` is enabled
+ *   3. building them, then storing them in the browser cache
+ *
+ * A cached file is only used when its key matches: the key hashes the mesh
+ * URL, the mesh bytes, the collider settings and the format version, so
+ * editing any of them rebuilds the shapes.
+ *
+ * File layout (little endian, 4-byte values):
+ *   "SPCL", version, key, shape count,
+ *   then per shape: type (0 trimesh, 1 convex), vertex float count,
+ *   index count, vertex floats, indices
+ */
+
+const MAGIC = 0x4c435053; // "SPCL"
+const VERSION = 1;
+const HEADER_SIZE = 16; // bytes
+const SHAPE_HEADER_SIZE = 12; // bytes
+const SHAPE_TYPES = ["trimesh", "convex"];
+const CACHE_NAME = "spark-physics-colliders";
+
+/**
+ * 32-bit FNV-1a hash of a byte array
+ */
+export function hashBytes(bytes, hash = 0x811c9dc5) {
+	for (let i = 0; i < bytes.length; i++) {
+		hash ^= bytes[i];
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+}
+
+/**
+ * The cache key for a mesh file and the settings its shapes are built with
+ */
+export function colliderCacheKey(url, meshBytes, settings) {
+	const text = new TextEncoder().encode(`${VERSION}|${url}|${JSON.stringify(settings)}`);
+	return hashBytes(new Uint8Array(meshBytes), hashBytes(text));
+}
+
+export function serializeColliderShapes(shapes, key) {
+	let size = HEADER_SIZE;
+	for (const shape of shapes) {
+		size += SHAPE_HEADER_SIZE + 4 * (shape.vertices.length + (shape.indices?.length ?? 0));
+	}
+
+	const buffer = new ArrayBuffer(size);
+	const view = new DataView(buffer);
+	view.setUint32(0, MAGIC, true);
+	view.setUint32(4, VERSION, true);
+	view.setUint32(8, key, true);
+	view.setUint32(12, shapes.length, true);
+
+	let offset = HEADER_SIZE;
+	for (const shape of shapes) {
+		const indexCount = shape.indices?.length ?? 0;
+		view.setUint32(offset, SHAPE_TYPES.indexOf(shape.type), true);
+		view.setUint32(offset + 4, shape.vertices.length, true);
+		view.setUint32(offset + 8, indexCount, true);
+		offset += SHAPE_HEADER_SIZE;
+
+		new Float32Array(buffer, offset, shape.vertices.length).set(shape.vertices);
+		offset += 4 * shape.vertices.length;
+		if (indexCount > 0) new Uint32Array(buffer, offset, indexCount).set(shape.indices);
+		offset += 4 * indexCount;
+	}
+	return buffer;
+}
+
+/**
+ * Reads shapes back, or returns null when the file was made for another
+ * mesh, other settings or another format version
+ */
+export function deserializeColliderShapes(buffer, key) {
+	const view = new DataView(buffer);
+	if (buffer.byteLength < HEADER_SIZE || view.getUint32(0, true) !== MAGIC) {
+		throw new Error("not a collider file");
+	}
+	if (view.getUint32(4, true) !== VERSION || view.getUint32(8, true) !== key) return null;
+
+	const shapes = [];
+	const count = view.getUint32(12, true);
+	let offset = HEADER_SIZE;
+	for (let i = 0; i < count; i++) {
+		const type = SHAPE_TYPES[view.getUint32(offset, true)];
+		const vertexCount = view.getUint32(offset + 4, true);
+		const indexCount = view.getUint32(offset + 8, true);
+		offset += SHAPE_HEADER_SIZE;
+		if (!type || offset + 4 * (vertexCount + indexCount) > buffer.byteLength) {
+			throw new Error("truncated collider file");
+		}
+
+		// Copies, so the shapes do not keep the whole file alive
+		const vertices = new Float32Array(buffer.slice(offset, offset + 4 * vertexCount));
+		offset += 4 * vertexCount;
+		const indices = new Uint32Array(buffer.slice(offset, offset + 4 * indexCount));
+		offset += 4 * indexCount;
+		shapes.push(type === "trimesh" ? { type, vertices, indices } : { type, vertices });
+	}
+	return shapes;
+}
+
+function cacheRequest(key) {
+	return `colliders/${key.toString(16).padStart(8, "0")}.bin`;
+}
+
+async function readBrowserCache(key) {
+	if (typeof caches === "undefined") return null;
+	const cache = await caches.open(CACHE_NAME);
+	const response = await cache.match(cacheRequest(key));
+	return response ? deserializeColliderShapes(await response.arrayBuffer(), key) : null;
+}
+
+async function writeBrowserCache(key, buffer) {
+	if (typeof caches === "undefined") return;
+	const cache = await caches.open(CACHE_NAME);
+	await cache.put(cacheRequest(key), new Response(buffer));
+}
+
+/**
+ * Loads or builds the collider shapes for a collision mesh
+ * `settings` is the manifest's `collisionMesh.colliders`.
+ * Resolves with { shapes, key, source } where source is "file", "cache" or "built".
+ */
+export async function loadColliderShapes({ url, meshBytes, root, settings, assets }) {
+	const { cache, cacheFile, ...buildSettings } = settings;
+	const key = colliderCacheKey(url, meshBytes, buildSettings);
+
+	if (cacheFile) {
+		try {
+			const bytes = await assets.fetchBytes(cacheFile, {
+				priority: ASSET_PRIORITY.HIGH,
+				optional: true,
+			});
+			const shapes = deserializeColliderShapes(bytes, key);
+			if (shapes) return { shapes, key, source: "file" };
+			console.warn(`${cacheFile} is out of date (mesh or collider settings changed); rebuilding`);
+		} catch (error) {
+			console.warn(`Could not use ${cacheFile}:`, error.message);
+		}
+	}
+
+	if (cache) {
+		try {
+			const shapes = await readBrowserCache(key);
+			if (shapes) return { shapes, key, source: "cache" };
+		} catch (error) {
+			console.warn("Could not read cached colliders:", error.message);
+		}
+	}
+
+	const shapes = buildColliderShapes(root, buildSettings);
+	if (cache) {
+		writeBrowserCache(key, serializeColliderShapes(shapes, key)).catch((error) => {
+			console.warn("Could not cache colliders:", error.message);
+		});
+	}
+	return { shapes, key, source: "built" };
+}
@@ -0,0 +1,170 @@
+import * as RAPIER from "@dimforge/rapier3d-compat";
+import * as THREE from "three";
+
+/**
+ * Collision events - turns Rapier's EventQueue into gameplay contacts
+ *
+ * Every collider the game cares about is registered with a description of
+ * what it belongs to:
+ *   { kind: "environment" }
+ *   { kind: "bone", characterId, bone }
+ *   { kind: "projectile", projectile }
+ *   { kind: "player" }
+ *
+ * After each physics step `process()` drains the queue. A "contact" event is
+ * emitted once when two colliders start touching, carrying both descriptions,
+ * the world-space contact point and the impulse of the impact in N·s.
+ * Sustained contact (rolling, resting) does not re-trigger; the colliders
+ * must separate first.
+ *
+ * Rapier reports a collision start before the solver has resolved it, and a
+ * fast bounce often separates again within one step without producing a
+ * contact-force event. The impulse is therefore measured over the step after
+ * the start: the larger of the reported contact force × timestep and the
+ * momentum change of the dynamic bodies involved (gravity removed). Contact
+ * events are emitted one physics step after the collision starts.
+ *
+ * Only colliders created with `CONTACT_EVENTS` (or anything touching them)
+ * produce events.
+ */
+
+export const CONTACT_EVENTS =
+	RAPIER.ActiveEvents.COLLISION_EVENTS | RAPIER.ActiveEvents.CONTACT_FORCE_EVENTS;
+
+const UNKNOWN = { kind: "unknown" };
+
+export function createCollisionEvents({ world }) {
+	const eventQueue = new RAPIER.EventQueue(true);
+	const colliderInfo = new Map();
+	const listeners = new Map();
+
+	function register(collider, info) {
+		colliderInfo.set(collider.handle, info);
+	}
+
+	function unregister(collider) {
+		colliderInfo.delete(collider.handle);
+	}
+
+	function describe(handle) {
+		return colliderInfo.get(handle) ?? UNKNOWN;
+	}
+
+	function on(type, handler) {
+		if (!listeners.has(type)) listeners.set(type, []);
+		listeners.get(type).push(handler);
+	}
+
+	function emit(type, event) {
+		for (const handler of listeners.get(type) ?? []) handler(event);
+	}
+
+	function pairKey(handle1, handle2) {
+		return handle1 < handle2 ? `${handle1}:${handle2}` : `${handle2}:${handle1}`;
+	}
+
+	// First solver contact point of the pair, or the midpoint of both colliders
+	function getContactPoint(collider1, collider2) {
+		let point = null;
+		world.contactPair(collider1, collider2, (manifold) => {
+			if (point || manifold.numSolverContacts() === 0) return;
+			const p = manifold.solverContactPoint(0);
+			point = new THREE.Vector3(p.x, p.y, p.z);
+		});
+		if (point) return point;
+
+		const a = collider1.translation();
+		const b = collider2.translation();
+		return new THREE.Vector3(
+			(a.x + b.x) / 2,
+			(a.y + b.y) / 2,
+			(a.z + b.z) / 2,
+		);
+	}
+
+	// Velocity and mass of the dynamic bodies behind two colliders
+	function snapshotBodies(colliders) {
+		return colliders
+			.map((collider) => collider.parent())
+			.filter((body) => body?.isDynamic())
+			.map((body) => {
+				const v = body.linvel();
+				return { body, mass: body.mass(), velocity: new THREE.Vector3(v.x, v.y, v.z) };
+			});
+	}
+
+	// Largest momentum change of the snapshotted bodies over one step
+	function measureImpulse(snapshots, timestep) {
+		const gravity = world.gravity;
+		let impulse = 0;
+		for (const { body, mass, velocity } of snapshots) {
+			if (!world.bodies.contains(body.handle)) continue;
+			const v = body.linvel();
+			const change = new THREE.Vector3(
+				v.x - velocity.x - gravity.x * timestep,
+				v.y - velocity.y - gravity.y * timestep,
+				v.z - velocity.z - gravity.z * timestep,
+			);
+			impulse = Math.max(impulse, change.length() * mass);
+		}
+		return impulse;
+	}
+
+	// Collisions that started last step, waiting for their impulse
+	let pending = [];
+
+	/**
+	 * Drains the event queue; call right after `world.step(eventQueue)`
+	 */
+	function process(timestep) {
+		// Contact forces of this step, keyed by collider pair
+		const impulses = new Map();
+		eventQueue.drainContactForceEvents((event) => {
+			impulses.set(
+				pairKey(event.collider1(), event.collider2()),
+				event.totalForceMagnitude() * timestep,
+			);
+		});
+
+		for (const contact of pending) {
+			emit("contact", {
+				first: contact.first,
+				second: contact.second,
+				position: contact.position,
+				impulse: Math.max(
+					contact.impulse,
+					impulses.get(contact.key) ?? 0,
+					measureImpulse(contact.bodies, timestep),
+				),
+			});
+		}
+		pending = [];
+
+		eventQueue.drainCollisionEvents((handle1, handle2, started) => {
+			if (!started) return;
+
+			const collider1 = world.getCollider(handle1);
+			const collider2 = world.getCollider(handle2);
+			if (!collider1 || !collider2) return;
+
+			const key = pairKey(handle1, handle2);
+			pending.push({
+				key,
+				first: describe(handle1),
+				second: describe(handle2),
+				position: getContactPoint(collider1, collider2),
+				impulse: impulses.get(key) ?? 0,
+				bodies: snapshotBodies([collider1, collider2]),
+			});
+		});
+	}
+
+	return {
+		eventQueue,
+		register,
+		unregister,
+		describe,
+		on,
+		process,
+	};
+}
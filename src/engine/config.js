@@ -0,0 +1,261 @@
+/**
+ * Engine configuration defaults
+ *
+ * Front-ends pass overrides to `createConfig`; nested objects (lighting, audio
+ * files, …) are merged key by key so an override only needs the values it changes.
+ */
+
+export const DEFAULT_CONFIG = {
+	// Physics
+	GRAVITY: { x: 0, y: -9.81, z: 0 },
+	RAPIER_INIT_TIMEOUT: 10000,
+	PHYSICS_TIMESTEP: 1 / 60,
+	MAX_PHYSICS_STEPS_PER_FRAME: 5,
+	SLOW_MOTION_SCALES: [1, 0.5, 0.25, 0.1],
+
+	// Camera
+	FOV: 75,
+	INITIAL_POSITION: { x: 0, y: 0, z: 0 },
+	INITIAL_ROTATION: { x: 0, y: Math.PI, z: 0 }, // Start facing opposite direction
+
+	// Movement
+	MOVE_SPEED: 5,
+	PROJECTILE_SPEED: 15,
+	WALKING_RADIUS: null, // Horizontal radius around INITIAL_POSITION, null = unbounded
+
+	// Player capsule (walk mode)
+	PLAYER: {
+		MODE: "walk", // "walk" or "fly"
+		RADIUS: 0.3,
+		HALF_HEIGHT: 0.55, // Half the cylinder part; total height = 2 * (HALF_HEIGHT + RADIUS)
+		EYE_HEIGHT: 0.65, // Camera height above the capsule centre
+		JUMP_SPEED: 4.5,
+		STEP_HEIGHT: 0.3,
+		STEP_MIN_WIDTH: 0.2,
+		SNAP_TO_GROUND: 0.3,
+		MAX_SLOPE_CLIMB: 45, // degrees
+		MIN_SLOPE_SLIDE: 30, // degrees
+		CONTROLLER_OFFSET: 0.01,
+		FALL_RESET_DEPTH: 50, // Respawn when this far below INITIAL_POSITION
+		MASS: 70, // kg, for pushing props around
+	},
+
+	// Character animation states
+	ANIMATION: {
+		CROSSFADE: 0.3, // seconds
+		STATE_TIME: 2, // Length of one-shot states without their own clip
+		FLINCH_TIME: 0.5,
+		FLINCH_ANGLE: 20, // degrees of procedural lean away from a hit
+		TALK_NOD_ANGLE: 4, // degrees of head nod while talking without a talk clip
+		ANGRY_HITS: 3, // Hits within ANGRY_WINDOW seconds that make a character angry
+		ANGRY_WINDOW: 5,
+	},
+
+	// Ragdoll (characters fall over when hit hard)
+	RAGDOLL: {
+		IMPULSE_THRESHOLD: 0.6, // N·s; softer hits only trigger a voice line
+		PUSH_SPEED: 1.5, // m/s given to the struck bone (half for the rest) at the threshold
+		DENSITY: 150, // kg/m³ of the bone capsules
+		LINEAR_DAMPING: 0.2,
+		ANGULAR_DAMPING: 2,
+		DURATION: 3, // seconds on the floor
+		BLEND_TIME: 1, // seconds to blend back into the animation
+		HINGE_BONES: ["forearm", "(?<!up)leg$", "knee", "elbow", "shin", "calf"], // Revolute joints
+	},
+
+	// Audio
+	VOICE_COOLDOWN: 1.0,
+	MUSIC_VOLUME: 0.15,
+	VOICE_VOLUME: 0.4,
+
+	// Projectiles
+	// Every type has a shape ("sphere" with radius, "box" with halfExtents,
+	// "capsule" with radius and halfHeight, or "convex": the convex hull of a
+	// GLB model scaled by `scale`), a density, friction, restitution, bounce
+	// sound and colour (primitives only; models keep their own materials).
+	// `speed` optionally replaces PROJECTILE_SPEED. Set a type to null in an
+	// override to remove it.
+	PROJECTILE_TYPES: {
+		ball: {
+			name: "Ball",
+			shape: "sphere",
+			radius: 0.2,
+			density: 1,
+			friction: 0.5,
+			restitution: 0.9,
+			sound: "bounce.mp3",
+			color: 0xff4444,
+		},
+		crate: {
+			name: "Crate",
+			shape: "box",
+			halfExtents: [0.15, 0.15, 0.15],
+			density: 0.6,
+			friction: 0.8,
+			restitution: 0.2,
+			sound: "ballbounce2.mp3",
+			color: 0x9c6b3c,
+		},
+		rollingPin: {
+			name: "Rolling pin",
+			shape: "capsule",
+			radius: 0.05,
+			halfHeight: 0.18,
+			density: 0.8,
+			friction: 0.6,
+			restitution: 0.4,
+			sound: "ballbounce2.mp3",
+			color: 0xd8b48a,
+		},
+	},
+	PROJECTILE_TYPE: "ball", // Active type at start
+	PROJECTILE_SCALE: 1, // Size multiplier applied to every type
+	PROJECTILE_MAX_COUNT: 50, // Live projectiles; the oldest is despawned to make room
+	PROJECTILE_MAX_AGE: 20, // seconds of simulated time
+	PROJECTILE_DESPAWN_ON_SLEEP: true, // Remove projectiles once they come to rest
+	PROJECTILE_KILL_DEPTH: 50, // Despawn when this far below INITIAL_POSITION
+
+	// Props (see props.js): materials give density (kg/m³; far below real
+	// wood or metal so projectiles can still move furniture), friction,
+	// restitution and the sound of an impact. MATERIAL is the default.
+	PROPS: {
+		MATERIALS: {
+			wood: { density: 100, friction: 0.7, restitution: 0.2, sound: "ballbounce2.mp3" },
+			ceramic: { density: 200, friction: 0.5, restitution: 0.3, sound: "bounce.mp3" },
+			metal: { density: 400, friction: 0.4, restitution: 0.4, sound: "bounce.mp3" },
+		},
+		MATERIAL: "wood",
+		LINEAR_DAMPING: 0.1,
+		ANGULAR_DAMPING: 0.3,
+		KILL_DEPTH: 50, // Put back where it started when this far below INITIAL_POSITION
+	},
+
+	// Fire modes: "single", "burst" (BURST_COUNT shots per click) or "charge"
+	// (hold to throw; CHARGE_TIME seconds of holding scales the speed from
+	// CHARGE_MIN_SPEED to CHARGE_MAX_SPEED times the type's speed)
+	FIRE: {
+		MODE: "single",
+		BURST_COUNT: 3,
+		BURST_INTERVAL: 0.1, // seconds between burst shots
+		CHARGE_TIME: 1.0,
+		CHARGE_MIN_SPEED: 0.3,
+		CHARGE_MAX_SPEED: 2.0,
+	},
+
+	// Contacts
+	CONTACT_FORCE_EVENT_THRESHOLD: 0.5, // Newtons; weaker contact forces are not reported
+	BOUNCE_MIN_VELOCITY_CHANGE: 0.5, // m/s; softer contacts make no sound
+	BOUNCE_FULL_VELOCITY_CHANGE: 20, // m/s; contacts this hard play at full volume
+
+	// Audio Processing
+	VELOCITY_PITCH_RANGE: { min: 0.9, max: 1.1 },
+
+	// Positional audio (Web Audio PannerNode settings)
+	SPATIAL_AUDIO: {
+		PANNING_MODEL: "HRTF", // "HRTF" or "equalpower"
+		DISTANCE_MODEL: "inverse", // "linear", "inverse" or "exponential"
+		REF_DISTANCE: 1, // metres at full volume
+		MAX_DISTANCE: 50, // silent beyond this with the linear model
+		ROLLOFF_FACTOR: 1,
+	},
+
+	// Mixer (bus volumes are user settings, see audio_mixer.js)
+	MIXER: {
+		DUCK_LEVEL: 0.3, // music volume factor while a character speaks
+		DUCK_ATTACK: 0.2, // seconds to duck
+		DUCK_RELEASE: 0.8, // seconds to come back up
+	},
+
+	// Room reverb, synthesised from the collision mesh (see room_acoustics.js)
+	REVERB: {
+		ABSORPTION: 0.15, // average absorption coefficient; wood and furniture
+		WET: 0.3, // reverb level
+		DAMPING: 8, // how much faster high frequencies die away
+		MIN_TIME: 0.2, // seconds; limits for the estimated RT60
+		MAX_TIME: 4,
+	},
+
+	// Low-pass filtering of sounds behind environment surfaces: every surface
+	// the line from the listener to the sound crosses counts, walls of the
+	// same mesh included
+	OCCLUSION: {
+		CUTOFF: 1200, // Hz behind one surface, halved for every further one
+		GAIN: 0.6, // volume factor per surface
+		MAX_SURFACES: 4, // surfaces counted (one ray cast each)
+		UPDATE_RATE: 10, // occlusion updates per second for playing sounds
+		SMOOTHING: 0.05, // seconds
+	},
+
+	// Debug view (see debug.js): which parts start switched on
+	DEBUG: {
+		PARTS: {
+			colliders: true,
+			contacts: true,
+			sleep: true,
+			trajectories: true,
+			inspector: true,
+			collisionMesh: true,
+		},
+		MAX_CONTACTS: 256, // contact points drawn
+		NORMAL_LENGTH: 0.2, // metres
+		TRAJECTORY_LENGTH: 120, // physics steps of each projectile path
+	},
+
+	// Splat / collision mesh alignment tool (see splat_alignment.js)
+	ALIGNMENT: {
+		MESH_OPACITY: 0.5, // collision mesh drawn over the splats
+		SAMPLES: 5000, // splat centres matched to the mesh by the fit
+		MIN_SPLAT_OPACITY: 0.5, // fainter splats (often floaters) are left out
+		MAX_DISTANCE: 0.5, // metres; splats farther from the mesh are left out
+		ITERATIONS: 30,
+		TOLERANCE: 1e-5, // stop once a step moves the splats less than this
+		ESTIMATE_SCALE: true, // fit the scale as well as position and rotation
+	},
+
+	// Lighting estimated from the splats (see light_estimation.js)
+	LIGHTING: {
+		PROBE_RADIUS: 4, // metres of splats around a probe
+		MIN_DISTANCE: 0.1, // metres; closer splats are skipped
+		MIN_SPLAT_OPACITY: 0.5, // fainter splats (often floaters) are skipped
+		MAX_SPLATS: 500000, // splats read per probe pass, spread over the file
+		LONGITUDE_BINS: 32, // directions around a probe (half as many up/down)
+		MAP_WIDTH: 32, // pixels of each baked environment map
+		INTENSITY: 1.0,
+		FALLBACK_INTENSITY: 1.0, // hemisphere light until the splats load
+	},
+
+	// Downloads (see assets.js)
+	ASSETS: {
+		MAX_CONCURRENT: 4, // parallel downloads
+		RETRIES: 2, // extra attempts after network or server errors
+		RETRY_DELAY: 0.5, // seconds before the first retry, doubled each time
+	},
+
+	// Assets (environment and characters come from the scene manifest)
+	AUDIO_FILES: {
+		BOUNCE: "bounce.mp3",
+		MUSIC_PLAYLIST: ["song.mp3"], // played in order; a single track loops
+	},
+};
+
+function isPlainObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function merge(base, overrides) {
+	const result = { ...base };
+	for (const [key, value] of Object.entries(overrides)) {
+		result[key] =
+			isPlainObject(value) && isPlainObject(base[key])
+				? merge(base[key], value)
+				: value;
+	}
+	return result;
+}
+
+/**
+ * Returns a config object with the given overrides applied on top of the defaults
+ */
+export function createConfig(overrides = {}) {
+	return merge(DEFAULT_CONFIG, overrides);
+}
@@ -0,0 +1,381 @@
+import * as RAPIER from "@dimforge/rapier3d-compat";
+import * as THREE from "three";
+import { createStatsOverlay } from "../ui/stats_overlay.js";
+
+/**
+ * Debug view - an overlay of what the physics engine sees, in parts that are
+ * toggled separately (keys in DEBUG_PARTS) and shown while the view is on:
+ *   - every collider as Rapier draws it (`world.debugRender()`), bone
+ *     capsules included
+ *   - contact points with their normals
+ *   - a marker on every dynamic body: awake or asleep
+ *   - the recent path of every live projectile
+ *   - an inspector panel: frame rate, physics step time, body and collider
+ *     counts, camera pose
+ *   - the collision mesh instead of the splats
+ *
+ * The overlay lives in the scene, so every presenter (split screen, stereo,
+ * …) draws it. Physics parts are refreshed once per physics step
+ * (`afterStep`), so they hold still while physics is paused.
+ *
+ * `debugRender()` draws every collider of a world on each call, the whole
+ * environment trimesh included. The fixed colliders are only drawn again when
+ * they change, keeping the lines in Rapier's colour for them; the moving ones
+ * come from a small mirror world whose poses follow the real colliders every
+ * step.
+ */
+
+export const DEBUG_PARTS = [
+	{ id: "colliders", key: "Digit1", label: "Colliders" },
+	{ id: "contacts", key: "Digit2", label: "Contacts" },
+	{ id: "sleep", key: "Digit3", label: "Awake / sleeping bodies" },
+	{ id: "trajectories", key: "Digit4", label: "Projectile paths" },
+	{ id: "inspector", key: "Digit5", label: "Inspector" },
+	{ id: "collisionMesh", key: "Digit6", label: "Collision mesh" },
+];
+
+const AWAKE_COLOR = [0.2, 1, 0.2, 1];
+const SLEEPING_COLOR = [0.3, 0.4, 1, 1];
+const CONTACT_COLOR = [1, 0.2, 0.2, 1];
+const NORMAL_COLOR = [1, 0.9, 0.2, 1];
+const TRAJECTORY_COLOR = [1, 0.5, 0, 1];
+// Rapier's debug colour for colliders of fixed bodies and without a body
+const FIXED_COLLIDER_COLOR = [0.8, 0.4, 0];
+
+function isFixed(collider) {
+	const parent = collider.parent();
+	return !parent || parent.isFixed();
+}
+
+/**
+ * Wireframes of a world's colliders from Rapier's debug renderer, without
+ * redrawing the fixed ones every step
+ */
+function createColliderRenderer() {
+	let fixedWorld = null; // The world and fixed colliders last drawn
+	let fixedKey = null;
+	let mirror = null; // { source, world, colliders: source handle → copy }
+
+	// Line segments (vertex pairs) drawn in the fixed collider colour
+	function filterFixedLines({ vertices, colors }) {
+		const segmentCount = colors.length / 8;
+		const keep = new Uint8Array(segmentCount);
+		let kept = 0;
+		for (let i = 0; i < segmentCount; i++) {
+			keep[i] = FIXED_COLLIDER_COLOR.every(
+				(value, channel) => Math.abs(colors[8 * i + channel] - value) < 1e-3,
+			);
+			kept += keep[i];
+		}
+
+		const fixedVertices = new Float32Array(6 * kept);
+		const fixedColors = new Float32Array(8 * kept);
+		for (let i = 0, j = 0; i < segmentCount; i++) {
+			if (!keep[i]) continue;
+			fixedVertices.set(vertices.subarray(6 * i, 6 * i + 6), 6 * j);
+			fixedColors.set(colors.subarray(8 * i, 8 * i + 8), 8 * j);
+			j++;
+		}
+		return { vertices: fixedVertices, colors: fixedColors };
+	}
+
+	/**
+	 * Lines of the fixed colliders, or null when they are the ones last drawn
+	 */
+	function renderFixed(world) {
+		const handles = [];
+		world.colliders.forEach((collider) => {
+			if (collider.isEnabled() && isFixed(collider)) handles.push(collider.handle);
+		});
+		const key = handles.join(",");
+		if (world === fixedWorld && key === fixedKey) return null;
+		fixedWorld = world;
+		fixedKey = key;
+		return filterFixedLines(world.debugRender());
+	}
+
+	function renderMoving(world) {
+		if (mirror?.source !== world) {
+			mirror?.world.free();
+			mirror = { source: world, world: new RAPIER.World({ x: 0, y: 0, z: 0 }), colliders: new Map() };
+		}
+
+		const live = new Set();
+		world.colliders.forEach((collider) => {
+			if (!collider.isEnabled() || isFixed(collider)) return;
+			live.add(collider.handle);
+			let copy = mirror.colliders.get(collider.handle);
+			if (!copy) {
+				copy = mirror.world.createCollider(new RAPIER.ColliderDesc(collider.shape));
+				mirror.colliders.set(collider.handle, copy);
+			}
+			copy.setTranslation(collider.translation());
+			copy.setRotation(collider.rotation());
+		});
+		for (const [handle, copy] of mirror.colliders) {
+			if (live.has(handle)) continue;
+			mirror.world.removeCollider(copy, false);
+			mirror.colliders.delete(handle);
+		}
+		return mirror.world.debugRender();
+	}
+
+	return { renderFixed, renderMoving };
+}
+
+/**
+ * Line segments or points whose vertex count changes every refresh
+ * The buffers grow (doubling) when needed and are reused otherwise.
+ */
+function createOverlayObject(type, material) {
+	let capacity = 0;
+	const object =
+		type === "points"
+			? new THREE.Points(new THREE.BufferGeometry(), material)
+			: new THREE.LineSegments(new THREE.BufferGeometry(), material);
+	object.frustumCulled = false;
+
+	function reserve(count) {
+		if (count <= capacity) return;
+		capacity = Math.max(count, 2 * capacity, 64);
+		object.geometry.dispose();
+		object.geometry = new THREE.BufferGeometry();
+		for (const [name, size] of [["position", 3], ["color", 4]]) {
+			const attribute = new THREE.BufferAttribute(new Float32Array(size * capacity), size);
+			object.geometry.setAttribute(name, attribute.setUsage(THREE.DynamicDrawUsage));
+		}
+	}
+
+	reserve(1);
+
+	// `positions` holds xyz and `colors` rgba per vertex
+	function set(positions, colors) {
+		const count = positions.length / 3;
+		reserve(count);
+		const { position, color } = object.geometry.attributes;
+		position.array.set(positions);
+		color.array.set(colors);
+		position.needsUpdate = true;
+		color.needsUpdate = true;
+		object.geometry.setDrawRange(0, count);
+	}
+
+	return { object, set };
+}
+
+export function createDebugView({ scene, camera, config, environment, projectiles, getWorld }) {
+	const settings = config.DEBUG;
+	let enabled = false;
+	const parts = Object.fromEntries(
+		DEBUG_PARTS.map((part) => [part.id, settings.PARTS[part.id] ?? true]),
+	);
+
+	const overlay = new THREE.Group();
+	overlay.name = "debug overlay";
+	overlay.visible = false;
+	scene.add(overlay);
+
+	const colliderMaterial = new THREE.LineBasicMaterial({ vertexColors: true, transparent: true });
+	const fixedColliderLines = createOverlayObject("lines", colliderMaterial);
+	const movingColliderLines = createOverlayObject("lines", colliderMaterial);
+	const colliderRenderer = createColliderRenderer();
+	// Contacts, markers and paths are drawn through walls
+	const onTop = { vertexColors: true, transparent: true, depthTest: false };
+	const contactPoints = createOverlayObject(
+		"points",
+		new THREE.PointsMaterial({ ...onTop, size: 6, sizeAttenuation: false }),
+	);
+	const contactNormals = createOverlayObject("lines", new THREE.LineBasicMaterial(onTop));
+	const bodyMarkers = createOverlayObject(
+		"points",
+		new THREE.PointsMaterial({ ...onTop, size: 8, sizeAttenuation: false }),
+	);
+	const trajectoryLines = createOverlayObject("lines", new THREE.LineBasicMaterial(onTop));
+
+	const objects = {
+		colliders: [fixedColliderLines.object, movingColliderLines.object],
+		contacts: [contactPoints.object, contactNormals.object],
+		sleep: [bodyMarkers.object],
+		trajectories: [trajectoryLines.object],
+	};
+	for (const list of Object.values(objects)) overlay.add(...list);
+
+	const inspector = createStatsOverlay({ visible: false, id: "debug-inspector", side: "right" });
+	const trajectories = new Map(); // Projectile → { points, lastAge }
+	let stepTime = 0; // ms, smoothed
+	let contactCount = 0;
+
+	function applyVisibility() {
+		overlay.visible = enabled;
+		for (const [id, list] of Object.entries(objects)) {
+			for (const object of list) object.visible = parts[id];
+		}
+		if (inspector.visible !== (enabled && parts.inspector)) inspector.toggle();
+		environment.showCollisionMesh(enabled && parts.collisionMesh);
+	}
+
+	function toggle() {
+		enabled = !enabled;
+		applyVisibility();
+		if (enabled) refreshPhysics();
+	}
+
+	/**
+	 * Switches one part on or off, returning its new state
+	 */
+	function togglePart(id) {
+		parts[id] = !parts[id];
+		applyVisibility();
+		if (enabled) refreshPhysics();
+		return parts[id];
+	}
+
+	function refreshColliders(world) {
+		const fixed = colliderRenderer.renderFixed(world);
+		if (fixed) fixedColliderLines.set(fixed.vertices, fixed.colors);
+		const { vertices, colors } = colliderRenderer.renderMoving(world);
+		movingColliderLines.set(vertices, colors);
+	}
+
+	function refreshContacts(world) {
+		const points = [];
+		const lines = [];
+		const seen = new Set();
+		contactCount = 0;
+
+		// Static colliders only touch moving ones, so start from the bodies that move
+		world.bodies.forEach((body) => {
+			if (body.isFixed() || body.isSleeping()) return;
+			for (let i = 0; i < body.numColliders(); i++) {
+				const collider = body.collider(i);
+				world.contactPairsWith(collider, (other) => {
+					const key =
+						collider.handle < other.handle
+							? `${collider.handle}:${other.handle}`
+							: `${other.handle}:${collider.handle}`;
+					if (seen.has(key)) return;
+					seen.add(key);
+
+					world.contactPair(collider, other, (manifold) => {
+						const normal = manifold.normal();
+						for (let k = 0; k < manifold.numSolverContacts(); k++) {
+							if (contactCount >= settings.MAX_CONTACTS) return;
+							const p = manifold.solverContactPoint(k);
+							points.push(p.x, p.y, p.z);
+							lines.push(
+								p.x,
+								p.y,
+								p.z,
+								p.x + normal.x * settings.NORMAL_LENGTH,
+								p.y + normal.y * settings.NORMAL_LENGTH,
+								p.z + normal.z * settings.NORMAL_LENGTH,
+							);
+							contactCount++;
+						}
+					});
+				});
+			}
+		});
+
+		contactPoints.set(points, Array.from({ length: points.length / 3 }, () => CONTACT_COLOR).flat());
+		contactNormals.set(lines, Array.from({ length: lines.length / 3 }, () => NORMAL_COLOR).flat());
+	}
+
+	function refreshBodyMarkers(world) {
+		const positions = [];
+		const colors = [];
+		world.bodies.forEach((body) => {
+			if (!body.isDynamic() || !body.isEnabled()) return;
+			const p = body.translation();
+			positions.push(p.x, p.y, p.z);
+			colors.push(...(body.isSleeping() ? SLEEPING_COLOR : AWAKE_COLOR));
+		});
+		bodyMarkers.set(positions, colors);
+	}
+
+	// Record projectile positions, once per physics step
+	function recordTrajectories() {
+		const live = new Set(projectiles.projectiles);
+		for (const projectile of trajectories.keys()) {
+			if (!live.has(projectile)) trajectories.delete(projectile);
+		}
+		for (const projectile of live) {
+			let trajectory = trajectories.get(projectile);
+			// A pooled projectile that was shot again starts a new path
+			if (!trajectory || projectile.age < trajectory.lastAge) {
+				trajectory = { points: [], lastAge: 0 };
+				trajectories.set(projectile, trajectory);
+			}
+			trajectory.points.push(projectile.currentPosition.clone());
+			if (trajectory.points.length > settings.TRAJECTORY_LENGTH) trajectory.points.shift();
+			trajectory.lastAge = projectile.age;
+		}
+	}
+
+	function refreshTrajectories() {
+		const lines = [];
+		for (const { points } of trajectories.values()) {
+			for (let i = 1; i < points.length; i++) {
+				lines.push(...points[i - 1].toArray(), ...points[i].toArray());
+			}
+		}
+		trajectoryLines.set(lines, Array.from({ length: lines.length / 3 }, () => TRAJECTORY_COLOR).flat());
+	}
+
+	function refreshPhysics() {
+		const world = getWorld();
+		if (!world) return;
+		if (parts.colliders) refreshColliders(world);
+		if (parts.contacts) refreshContacts(world);
+		if (parts.sleep) refreshBodyMarkers(world);
+		if (parts.trajectories) refreshTrajectories();
+	}
+
+	/**
+	 * Call after every physics step with the time `world.step` took (ms)
+	 */
+	function afterStep(milliseconds) {
+		stepTime += (milliseconds - stepTime) * 0.1;
+		recordTrajectories();
+		if (enabled) refreshPhysics();
+	}
+
+	// Call once per rendered frame with the real frame time
+	function update(deltaTime) {
+		if (!enabled || !parts.inspector) return;
+
+		const world = getWorld();
+		if (world) {
+			let awake = 0;
+			world.bodies.forEach((body) => {
+				if (body.isDynamic() && !body.isSleeping()) awake++;
+			});
+			inspector.set("Step", `${stepTime.toFixed(2)} ms`);
+			inspector.set("Bodies", `${world.bodies.len()} (${awake} awake)`);
+			inspector.set("Colliders", world.colliders.len());
+			inspector.set("Contacts", parts.contacts ? contactCount : "-");
+		} else {
+			inspector.set("Step", "no physics");
+		}
+
+		const { x, y, z } = camera.position;
+		const rotation = new THREE.Euler().setFromQuaternion(camera.quaternion, "YXZ");
+		inspector.set("Camera", `${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)}`);
+		inspector.set(
+			"Yaw/pitch",
+			`${THREE.MathUtils.radToDeg(rotation.y).toFixed(1)}°, ${THREE.MathUtils.radToDeg(rotation.x).toFixed(1)}°`,
+		);
+		inspector.update(deltaTime);
+	}
+
+	return {
+		toggle,
+		togglePart,
+		afterStep,
+		update,
+		parts,
+		get enabled() {
+			return enabled;
+		},
+	};
+}
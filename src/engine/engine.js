@@ -0,0 +1,537 @@
+/**
+ * Engine - the simulation shared by every display mode
+ *
+ * Owns the Three.js scene, the player camera, the Rapier world, the loaders,
+ * characters, props, projectiles, audio and input. What ends up on screen is decided
+ * by a presenter (see src/presenters/), so single-view, split-screen and any
+ * future display mode are thin front-ends over the same simulation.
+ *
+ * A presenter is a plain object:
+ *   {
+ *     name,
+ *     attach(engine)                 // optional, called when it becomes active
+ *     detach(engine)                 // optional, called before it is replaced
+ *     resize(engine, width, height)  // canvas size changed (also called on attach)
+ *     render(engine)                 // draw one frame
+ *     getListenerPose(engine)        // optional, { position, quaternion } of the
+ *                                    // audio listener when it is not the camera
+ *   }
+ */
+
+import * as RAPIER from "@dimforge/rapier3d-compat";
+import * as THREE from "three";
+import { getSceneUrl, loadSceneManifest } from "../scene_manifest.js";
+import { createAlignmentPanel } from "../ui/alignment_panel.js";
+import { createAudioSettingsPanel } from "../ui/audio_settings.js";
+import { showToast } from "../ui/hud.js";
+import { createLoadingScreen } from "../ui/loading_screen.js";
+import { createPhysicsBanner } from "../ui/physics_banner.js";
+import { createStatsOverlay } from "../ui/stats_overlay.js";
+import { createAssetManager } from "./assets.js";
+import { createAudioSystem } from "./audio.js";
+import { createCharacterSystem } from "./characters.js";
+import { createCollisionEvents } from "./collision_events.js";
+import { createConfig } from "./config.js";
+import { createDebugView, DEBUG_PARTS } from "./debug.js";
+import { createEnvironment } from "./environment.js";
+import { createFixedTimestep } from "./fixed_timestep.js";
+import { createInput } from "./input.js";
+import { createLightEstimation } from "./light_estimation.js";
+import { createLoaders } from "./loaders.js";
+import { initRapier } from "./physics.js";
+import { createPlayerController } from "./player_controller.js";
+import { createProjectileSystem } from "./projectiles.js";
+import { createPropSystem } from "./props.js";
+import { createSplatAlignment } from "./splat_alignment.js";
+import { createSplatCutouts } from "./splat_cutouts.js";
+import { createOcclusionProbe, estimateRoom } from "./room_acoustics.js";
+import { createWeapon } from "./weapon.js";
+
+/**
+ * Builds the engine for a validated scene manifest
+ * Call `enablePhysics` on the result once Rapier is initialized
+ */
+export function createEngine({ config, manifest, enableDebug = false }) {
+	// ===== THREE.JS SCENE SETUP =====
+	const scene = new THREE.Scene();
+	scene.background = new THREE.Color(0x202020);
+
+	const camera = new THREE.PerspectiveCamera(
+		config.FOV,
+		window.innerWidth / window.innerHeight,
+		0.1,
+		1000,
+	);
+	const { INITIAL_POSITION: p, INITIAL_ROTATION: r } = config;
+	camera.position.set(p.x, p.y, p.z);
+	camera.rotation.set(r.x, r.y, r.z);
+
+	const renderer = new THREE.WebGLRenderer();
+	renderer.setSize(window.innerWidth, window.innerHeight);
+	renderer.setPixelRatio(window.devicePixelRatio);
+	renderer.outputColorSpace = THREE.SRGBColorSpace;
+	document.body.appendChild(renderer.domElement);
+
+	const lighting = createLightEstimation({ scene, config });
+	const stats = createStatsOverlay();
+
+	// ===== PHYSICS WORLD =====
+	// Created by enablePhysics once Rapier is initialized. Until then the
+	// scene renders and the player can fly around, but nothing collides.
+	let world = null;
+	let collisionEvents = null;
+	let countOccluders = null;
+
+	const physicsClock = createFixedTimestep({
+		timestep: config.PHYSICS_TIMESTEP,
+		maxSteps: config.MAX_PHYSICS_STEPS_PER_FRAME,
+	});
+
+	// ===== SUBSYSTEMS =====
+	const assets = createAssetManager({
+		maxConcurrent: config.ASSETS.MAX_CONCURRENT,
+		retries: config.ASSETS.RETRIES,
+		retryDelay: config.ASSETS.RETRY_DELAY,
+	});
+	assets.on("error", ({ url, error }) => console.error(`Failed to load ${url}:`, error));
+	assets.on("retry", ({ url, attempt, delay }) =>
+		console.warn(`Retrying ${url} in ${delay}s (attempt ${attempt})`),
+	);
+	const loaders = createLoaders(assets);
+	const input = createInput({ camera });
+
+	const audio = createAudioSystem({
+		config,
+		manifest,
+		assets,
+		getListenerPose: () =>
+			engine.presenter?.getListenerPose?.(engine) ?? {
+				position: camera.position,
+				quaternion: camera.quaternion,
+			},
+		getOcclusion: (from, to) => countOccluders?.(from, to) ?? 0,
+	});
+	audio.bindToFirstInteraction();
+	const audioSettings = createAudioSettingsPanel({ mixer: audio.mixer });
+
+	const environment = createEnvironment({
+		manifest,
+		scene,
+		loaders,
+		onCollisionMeshLoaded: (mesh) => {
+			audio.setRoom(estimateRoom(mesh, config.REVERB.ABSORPTION));
+		},
+		onSplatsLoaded: (splatMesh) => {
+			splatCutouts.setSplats(splatMesh);
+			lighting.setSplats(splatMesh);
+		},
+		onCollisionMeshFailed: () => {
+			resolveTaggedProps();
+			// Nothing to walk on: fly instead of standing still
+			if (player.mode === "walk") {
+				player.setMode("fly");
+				showToast("No collision mesh, flying instead (walls are not solid)", 4000);
+			}
+		},
+		onPropNodes: (nodes) => {
+			propSystem.addTaggedNodes(nodes);
+			resolveTaggedProps();
+		},
+	});
+
+	const splatCutouts = createSplatCutouts({
+		regions: manifest.environment.splats.cutouts,
+		scene,
+	});
+
+	const characterSystem = createCharacterSystem({
+		manifest,
+		scene,
+		config,
+		loaders,
+		onCharacterLoaded: (object) => lighting.addObject(object),
+	});
+	characterSystem.load();
+
+	const propSystem = createPropSystem({
+		manifest,
+		scene,
+		config,
+		loaders,
+		onPropAdded: (prop) => {
+			splatCutouts.addProp(prop);
+			lighting.addObject(prop.object);
+		},
+	});
+	// Tagged props are handed over with the collision mesh, or never come
+	let resolveTaggedProps;
+	const taggedProps = new Promise((resolve) => (resolveTaggedProps = resolve));
+	Promise.all([propSystem.load(), taggedProps]).then(() => splatCutouts.propsLoaded());
+
+	const projectileSystem = createProjectileSystem({
+		scene,
+		config,
+		loaders,
+	});
+
+	const player = createPlayerController({
+		camera,
+		input,
+		config,
+		environment,
+	});
+
+	const weapon = createWeapon({
+		config,
+		camera,
+		input,
+		projectiles: projectileSystem,
+	});
+
+	// Created once the subsystems have requested their files; the collision
+	// mesh is the minimum to play (it stands in for the splats until they load)
+	const loadingScreen = createLoadingScreen({
+		assets,
+		required: [manifest.environment.collisionMesh.url],
+		onPlay: () => input.controls.lock(),
+	});
+
+	const engine = {
+		config,
+		manifest,
+		scene,
+		camera,
+		renderer,
+		lighting,
+		stats,
+		audioSettings,
+		loadingScreen,
+		get world() {
+			return world;
+		},
+		physicsClock,
+		get collisionEvents() {
+			return collisionEvents;
+		},
+		assets,
+		loaders,
+		input,
+		player,
+		audio,
+		environment,
+		characters: characterSystem,
+		props: propSystem,
+		splatCutouts,
+		projectiles: projectileSystem,
+		weapon,
+		debug: null,
+		alignment: null,
+		presenter: null,
+		enablePhysics,
+		setPresenter,
+		start,
+	};
+
+	if (enableDebug) {
+		engine.debug = createDebugView({
+			scene,
+			camera,
+			config,
+			environment,
+			projectiles: projectileSystem,
+			getWorld: () => world,
+		});
+		input.onKeyDown("Backquote", () => {
+			engine.debug.toggle();
+			showToast(engine.debug.enabled ? "Debug view on (1-6: parts)" : "Debug view off");
+		});
+
+		// 1-6: debug parts (colliders, contacts, sleep, paths, inspector, collision mesh)
+		for (const { id, key, label } of DEBUG_PARTS) {
+			input.onKeyDown(key, () => {
+				const on = engine.debug.togglePart(id);
+				showToast(`${label}: ${on ? "on" : "off"}${engine.debug.enabled ? "" : " (` to show)"}`);
+			});
+		}
+
+		// K: save the environment colliders to ship as `colliders.cacheFile`
+		input.onKeyDown("KeyK", () => {
+			if (!environment.downloadColliders()) showToast("Colliders are not built yet");
+		});
+
+		// L: splat alignment; frees the mouse pointer for the gizmo
+		engine.alignment = createSplatAlignment({
+			manifest,
+			scene,
+			camera,
+			domElement: renderer.domElement,
+			input,
+			environment,
+			config,
+			getWorld: () => world,
+			onTransformChange: () => alignmentPanel.showTransform(),
+		});
+		const alignmentPanel = createAlignmentPanel({
+			alignment: engine.alignment,
+			estimateScale: config.ALIGNMENT.ESTIMATE_SCALE,
+		});
+		input.onKeyDown("KeyL", () => {
+			if (!engine.alignment.toggle()) {
+				showToast("Splats are not loaded yet");
+				return;
+			}
+			alignmentPanel.toggle();
+			if (engine.alignment.enabled) input.controls.unlock();
+			showToast(
+				engine.alignment.enabled
+					? "Splat alignment (Esc frees the mouse for the gizmo)"
+					: "Splat alignment off",
+			);
+		});
+	}
+
+	// ===== PLAYER MODE =====
+	input.onKeyDown("KeyG", () => {
+		if (player.mode === "fly" && environment.collisionMeshFailed) {
+			showToast("No collision mesh to walk on");
+			return;
+		}
+		player.toggleMode();
+		showToast(player.mode === "walk" ? "Walk mode" : "Fly mode");
+	});
+
+	// ===== PHYSICS DEBUG CONTROLS =====
+	// P: pause/resume, N: single step while paused, T: cycle slow motion
+	input.onKeyDown("KeyP", () => {
+		physicsClock.paused = !physicsClock.paused;
+		showToast(physicsClock.paused ? "Physics paused (N to step)" : "Physics resumed");
+	});
+	input.onKeyDown("KeyN", () => physicsClock.requestStep());
+	input.onKeyDown("KeyT", () => {
+		const scales = config.SLOW_MOTION_SCALES;
+		const next = (scales.indexOf(physicsClock.timeScale) + 1) % scales.length;
+		physicsClock.timeScale = scales[next];
+		showToast(`Time scale ${physicsClock.timeScale}×`);
+	});
+
+	// O: stats overlay
+	input.onKeyDown("KeyO", () => stats.toggle());
+
+	// M: audio settings; frees the mouse pointer to use the sliders
+	input.onKeyDown("KeyM", () => {
+		audioSettings.toggle();
+		if (audioSettings.visible) input.controls.unlock();
+	});
+
+	// ===== SHOOTING =====
+	// Q: next projectile type, X: next fire mode
+	input.onKeyDown("KeyQ", () => {
+		weapon.cycleType();
+		showToast(`Projectile: ${weapon.type?.name ?? "none"}`);
+	});
+	input.onKeyDown("KeyX", () => {
+		weapon.cycleFireMode();
+		showToast(`Fire mode: ${weapon.fireMode}`);
+	});
+
+	// ===== CONTACTS =====
+	function playImpactSound(body, sound, position, impulse) {
+		// Velocity change of the body: impulse independent of its mass
+		const velocityChange = impulse / body.mass();
+		if (velocityChange >= config.BOUNCE_MIN_VELOCITY_CHANGE) {
+			audio.playBounceSound(
+				position,
+				Math.min(velocityChange / config.BOUNCE_FULL_VELOCITY_CHANGE, 1),
+				sound,
+			);
+		}
+	}
+
+	function handleContact({ first, second, position, impulse }) {
+		// Props sound like their material, whatever hits them
+		for (const info of [first, second]) {
+			if (info.kind === "prop") {
+				playImpactSound(info.prop.body, info.prop.material.sound, position, impulse);
+			}
+		}
+
+		const projectile = [first, second].find((info) => info.kind === "projectile");
+		if (!projectile) return;
+
+		playImpactSound(
+			projectile.projectile.body,
+			projectile.projectile.type.sound,
+			position,
+			impulse,
+		);
+
+		// Character hits
+		const bone = [first, second].find((info) => info.kind === "bone");
+		if (bone) {
+			characterSystem.hit({
+				characterId: bone.characterId,
+				bone: bone.bone,
+				point: position,
+				impulse,
+			});
+			const duration = audio.playVoiceLine(bone.characterId, () =>
+				characterSystem.getHeadPosition(bone.characterId),
+			);
+			if (duration > 0) characterSystem.talk(bone.characterId, duration);
+		}
+	}
+
+	/**
+	 * Creates the physics world and the colliders of every subsystem
+	 * Rapier must be initialized
+	 */
+	function enablePhysics() {
+		if (world) return;
+
+		world = new RAPIER.World(config.GRAVITY);
+		world.timestep = config.PHYSICS_TIMESTEP;
+		collisionEvents = createCollisionEvents({ world });
+		collisionEvents.on("contact", handleContact);
+		countOccluders = createOcclusionProbe(world, config.OCCLUSION.MAX_SURFACES);
+
+		const physics = { world, collisionEvents };
+		environment.attachPhysics(physics);
+		characterSystem.attachPhysics(physics);
+		propSystem.attachPhysics(physics);
+		projectileSystem.attachPhysics(physics);
+		player.attachPhysics(physics);
+		console.log("✓ Physics world created");
+	}
+
+	// ===== PRESENTER =====
+	function setPresenter(presenter) {
+		engine.presenter?.detach?.(engine);
+		engine.presenter = presenter;
+		presenter.attach?.(engine);
+		presenter.resize(engine, window.innerWidth, window.innerHeight);
+	}
+
+	// ===== WINDOW RESIZE HANDLING =====
+	window.addEventListener("resize", () => {
+		camera.aspect = window.innerWidth / window.innerHeight;
+		camera.updateProjectionMatrix();
+		renderer.setSize(window.innerWidth, window.innerHeight);
+		engine.presenter?.resize(engine, window.innerWidth, window.innerHeight);
+	});
+
+	// ===== ANIMATION LOOP =====
+	let previousTime = performance.now();
+
+	function animate(currentTime) {
+		requestAnimationFrame(animate);
+		const deltaTime = (currentTime - previousTime) / 1000;
+		previousTime = currentTime;
+
+		audio.update(deltaTime);
+		weapon.update(deltaTime);
+
+		// Step physics simulation at a fixed rate
+		const alpha = physicsClock.advance(deltaTime, () => {
+			if (!world) return;
+			player.step(physicsClock.timestep);
+			const stepStart = performance.now();
+			world.step(collisionEvents.eventQueue);
+			const stepTime = performance.now() - stepStart;
+			collisionEvents.process(physicsClock.timestep);
+			projectileSystem.afterStep(physicsClock.timestep);
+			propSystem.afterStep();
+			engine.debug?.afterStep(stepTime);
+		});
+		projectileSystem.interpolate(alpha);
+		propSystem.interpolate(alpha);
+		splatCutouts.update();
+		lighting.update();
+		player.update(deltaTime, alpha);
+
+		// Animations follow simulated time so slow motion and pause apply to them too
+		characterSystem.update(physicsClock.frameTime);
+		engine.debug?.update(deltaTime);
+
+		stats.set(
+			"Projectiles",
+			`${projectileSystem.liveCount} live / ${projectileSystem.pooledCount} pooled`,
+		);
+		stats.set(
+			"Props",
+			`${propSystem.props.length} (${propSystem.awakeCount} moving)`,
+		);
+		stats.set(
+			"Weapon",
+			weapon.charging
+				? `${weapon.type?.name} (charging ${Math.round(weapon.charge * 100)}%)`
+				: `${weapon.type?.name} (${weapon.fireMode})`,
+		);
+		stats.set("Bodies", world ? world.bodies.len() : "no physics");
+		stats.update(deltaTime);
+
+		engine.presenter?.render(engine);
+	}
+
+	function start(presenter) {
+		if (presenter) setPresenter(presenter);
+		animate(previousTime);
+		console.log("🚀 Tavern demo initialized successfully!");
+	}
+
+	return engine;
+}
+
+/**
+ * Shows a fatal startup error in place of the loading indicator
+ */
+function showStartupError(error) {
+	const loadingElement = document.getElementById("loading");
+	loadingElement.style.display = "block";
+	loadingElement.style.whiteSpace = "pre-wrap";
+	loadingElement.style.textAlign = "left";
+	loadingElement.textContent = error.message;
+}
+
+/**
+ * Entry-point helper: loads the scene manifest, initializes Rapier,
+ * builds the engine and starts it with the given presenter
+ */
+export async function startApp({ config: overrides, presenter, enableDebug }) {
+	const config = createConfig(overrides);
+
+	// ===== SCENE MANIFEST =====
+	let manifest;
+	try {
+		manifest = await loadSceneManifest(getSceneUrl());
+		console.log(`✓ Scene manifest loaded (${manifest.name})`);
+	} catch (error) {
+		console.error(error);
+		showStartupError(error);
+		return null;
+	}
+
+	// ===== RAPIER PHYSICS INITIALIZATION =====
+	let physicsReady = false;
+	try {
+		await initRapier(config.RAPIER_INIT_TIMEOUT);
+		physicsReady = true;
+		console.log("✓ Rapier physics initialized");
+	} catch (error) {
+		console.error("Failed to initialize Rapier:", error);
+		// Continue without physics - the scene still renders and can be explored
+	}
+
+	const engine = createEngine({ config, manifest, enableDebug });
+	if (physicsReady) {
+		engine.enablePhysics();
+	} else {
+		createPhysicsBanner({
+			onRetry: async () => {
+				await initRapier(config.RAPIER_INIT_TIMEOUT);
+				engine.enablePhysics();
+			},
+		});
+	}
+	engine.start(presenter);
+	return engine;
+}
@@ -0,0 +1,174 @@
+import { SplatMesh } from "@sparkjsdev/spark";
+import { ASSET_PRIORITY } from "./assets.js";
+import { loadColliderShapes, serializeColliderShapes } from "./collider_cache.js";
+import { loadGLTF } from "./loaders.js";
+import { createEnvironmentColliders } from "./physics.js";
+
+/**
+ * Environment - the Gaussian splat scene plus the collision mesh it is
+ * approximated by. The collision mesh is only shown until the splats load,
+ * or when `showCollisionMesh(true)` is called for debugging.
+ *
+ * Its physics colliders are built once both the collision mesh and the
+ * physics world (`attachPhysics`) are there, in whichever order they come.
+ * The collider shapes themselves (trimesh, convex hulls, …) follow the
+ * manifest's `collisionMesh.colliders` settings and may come from a cache
+ * (see collider_builder.js and collider_cache.js).
+ *
+ * Nodes of the collision mesh tagged with a `prop` glTF extra are loose
+ * objects: they are moved out of the collision mesh into the scene and handed
+ * to `onPropNodes` (see props.js) before the fixed colliders are built.
+ *
+ * `onCollisionMeshFailed` is called when the collision mesh or its colliders
+ * cannot be had (failed download, skipped on the loading screen).
+ */
+
+// Tagged nodes, without descending into them
+function findPropNodes(object, nodes = []) {
+	for (const child of object.children) {
+		if (child.userData.prop !== undefined) nodes.push(child);
+		else findPropNodes(child, nodes);
+	}
+	return nodes;
+}
+
+export function createEnvironment({
+	manifest,
+	scene,
+	loaders,
+	onSplatsLoaded,
+	onCollisionMeshLoaded,
+	onCollisionMeshFailed,
+	onPropNodes,
+}) {
+	const { splats, collisionMesh } = manifest.environment;
+	const environment = {
+		collisionMesh: null,
+		colliderShapes: null,
+		colliders: null,
+		splatMesh: null,
+		splatsLoaded: false,
+		collisionMeshFailed: false,
+		showingCollisionMesh: false,
+	};
+	let physics = null;
+	let colliderKey = null;
+
+	function createColliders() {
+		if (!physics || !environment.colliderShapes || environment.colliders) return;
+
+		environment.colliders = createEnvironmentColliders(
+			environment.colliderShapes,
+			physics.world,
+			collisionMesh.restitution,
+		);
+		for (const collider of environment.colliders) {
+			physics.collisionEvents.register(collider, { kind: "environment" });
+		}
+	}
+
+	/**
+	 * Builds the colliders in `world`, now or once the collision mesh is loaded
+	 */
+	function attachPhysics({ world, collisionEvents }) {
+		physics = { world, collisionEvents };
+		createColliders();
+	}
+
+	// Load collision mesh (first: nothing can collide without it)
+	loadGLTF(collisionMesh.url, loaders, ASSET_PRIORITY.HIGH)
+		.then(async (gltf) => {
+			environment.collisionMesh = gltf.scene;
+			environment.collisionMesh.visible =
+				!environment.splatsLoaded || environment.showingCollisionMesh;
+			scene.add(environment.collisionMesh);
+
+			// Props stay visible and keep their place in the world
+			const propNodes = findPropNodes(environment.collisionMesh);
+			for (const node of propNodes) scene.attach(node);
+			onPropNodes?.(propNodes);
+
+			console.log("✓ Environment collision mesh loaded");
+			onCollisionMeshLoaded?.(environment.collisionMesh);
+
+			// Create physics colliders from mesh geometry
+			const { shapes, key, source } = await loadColliderShapes({
+				url: collisionMesh.url,
+				// Already downloaded: resolves with the same bytes
+				meshBytes: await loaders.assets.fetchBytes(collisionMesh.url),
+				root: environment.collisionMesh,
+				settings: collisionMesh.colliders,
+				assets: loaders.assets,
+			});
+			environment.colliderShapes = shapes;
+			colliderKey = key;
+			createColliders();
+			console.log(`✓ ${shapes.length} environment collider shapes (${source})`);
+		})
+		.catch((error) => {
+			console.error("Failed to load collision mesh:", error);
+			environment.collisionMeshFailed = true;
+			onCollisionMeshFailed?.(error);
+		});
+
+	// Load Gaussian splats; the file is downloaded through the asset manager
+	// and the SplatMesh decodes it from memory
+	loaders.assets
+		.fetchBytes(splats.url, { priority: ASSET_PRIORITY.LOW })
+		.then((fileBytes) => {
+			const splatMesh = new SplatMesh({
+				fileBytes,
+				fileName: splats.url,
+				onLoad: () => {
+					console.log(`✓ Gaussian splats loaded (${splatMesh.numSplats} splats)`);
+
+					environment.splatsLoaded = true;
+					showCollisionMesh(environment.showingCollisionMesh);
+					onSplatsLoaded?.(splatMesh);
+				},
+			});
+			environment.splatMesh = splatMesh;
+
+			// Place the splats over the collision mesh
+			const { position, rotation, scale } = splats.transform;
+			splatMesh.position.set(...position);
+			splatMesh.rotation.set(...rotation);
+			splatMesh.scale.set(...scale);
+		})
+		.catch((error) => {
+			console.error("Failed to load Gaussian splats:", error);
+		});
+
+	/**
+	 * Swaps the splats for the raw collision mesh (or back)
+	 */
+	function showCollisionMesh(visible) {
+		environment.showingCollisionMesh = visible;
+		if (!environment.splatsLoaded) return;
+
+		if (environment.collisionMesh) environment.collisionMesh.visible = visible;
+		if (visible) scene.remove(environment.splatMesh);
+		else scene.add(environment.splatMesh);
+	}
+
+	/**
+	 * Saves the collider shapes as a file to ship with the scene
+	 * (set it as `collisionMesh.colliders.cacheFile` in the manifest)
+	 */
+	function downloadColliders() {
+		if (!environment.colliderShapes) return false;
+
+		const buffer = serializeColliderShapes(environment.colliderShapes, colliderKey);
+		const link = document.createElement("a");
+		link.href = URL.createObjectURL(new Blob([buffer]));
+		link.download = `${collisionMesh.url.split("/").pop().replace(/\.[^.]+$/, "")}_colliders.bin`;
+		link.click();
+		setTimeout(() => URL.revokeObjectURL(link.href));
+		return true;
+	}
+
+	environment.showCollisionMesh = showCollisionMesh;
+	environment.downloadColliders = downloadColliders;
+	environment.attachPhysics = attachPhysics;
+	return environment;
+}
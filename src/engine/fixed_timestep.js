@@ -0,0 +1,64 @@
+/**
+ * Fixed timestep - decouples the physics rate from the display refresh rate
+ *
+ * Frame time is accumulated and consumed in steps of exactly `timestep`
+ * seconds, so the simulation behaves the same at 60 Hz and 144 Hz. The
+ * leftover fraction of a step is returned as `alpha` for interpolating
+ * rendered transforms between the last two physics states.
+ *
+ * At most `maxSteps` steps run per frame; after a long stall (tab in the
+ * background, breakpoint) the remaining time is dropped instead of making
+ * the next frames catch up forever.
+ *
+ * Debug controls: `paused` stops the clock, `requestStep()` advances exactly
+ * one step while paused and `timeScale` slows the simulation down.
+ */
+export function createFixedTimestep({ timestep = 1 / 60, maxSteps = 5 } = {}) {
+	let accumulator = 0;
+	let pendingSteps = 0;
+
+	const clock = {
+		timestep,
+		paused: false,
+		timeScale: 1,
+		frameTime: 0, // Simulated seconds in the last advance(), for animations
+
+		/**
+		 * Consumes frame time, calling `step()` once per fixed step
+		 * Returns the interpolation factor between the previous and current state
+		 */
+		advance(deltaTime, step) {
+			if (clock.paused) {
+				clock.frameTime = pendingSteps * timestep;
+				for (; pendingSteps > 0; pendingSteps--) step();
+				return 1;
+			}
+
+			clock.frameTime = deltaTime * clock.timeScale;
+			accumulator += clock.frameTime;
+
+			let steps = 0;
+			while (accumulator >= timestep && steps < maxSteps) {
+				step();
+				accumulator -= timestep;
+				steps++;
+			}
+
+			// Drop time we could not catch up on
+			if (steps === maxSteps && accumulator >= timestep) {
+				accumulator %= timestep;
+			}
+
+			return accumulator / timestep;
+		},
+
+		/**
+		 * Queues a single step, only used while paused
+		 */
+		requestStep() {
+			if (clock.paused) pendingSteps++;
+		},
+	};
+
+	return clock;
+}
@@ -0,0 +1,72 @@
+import { PointerLockControls } from "three/examples/jsm/controls/PointerLockControls.js";
+
+/**
+ * Input - pointer-lock mouse look and keyboard state
+ *
+ * Key handlers registered with `onKeyDown` fire once per key press; held keys
+ * are read from `keyState` (indexed by `KeyboardEvent.code`).
+ */
+export function createInput({ camera, domElement = document.body }) {
+	const controls = new PointerLockControls(camera, domElement);
+	const keyState = {};
+	const keyHandlers = new Map();
+
+	// UI elements
+	const startButton = document.getElementById("start");
+	const infoElement = document.getElementById("info");
+
+	startButton?.addEventListener("click", () => controls.lock());
+	controls.addEventListener("lock", () => {
+		infoElement.style.display = "none";
+	});
+	controls.addEventListener("unlock", () => {
+		infoElement.style.display = "";
+	});
+
+	// Keyboard input
+	window.addEventListener("keydown", (e) => {
+		const wasDown = keyState[e.code];
+		keyState[e.code] = true;
+		if (wasDown) return;
+
+		for (const handler of keyHandlers.get(e.code) ?? []) handler(e);
+	});
+
+	window.addEventListener("keyup", (e) => {
+		keyState[e.code] = false;
+	});
+
+	function onKeyDown(code, handler) {
+		if (!keyHandlers.has(code)) keyHandlers.set(code, []);
+		keyHandlers.get(code).push(handler);
+	}
+
+	function onClick(handler) {
+		window.addEventListener("click", (e) => {
+			if (controls.isLocked) handler(e);
+		});
+	}
+
+	// Primary mouse button, only while the pointer is locked
+	function onMouseDown(handler) {
+		window.addEventListener("mousedown", (e) => {
+			if (controls.isLocked && e.button === 0) handler(e);
+		});
+	}
+
+	// Fires even if the pointer was unlocked while the button was held
+	function onMouseUp(handler) {
+		window.addEventListener("mouseup", (e) => {
+			if (e.button === 0) handler(e);
+		});
+	}
+
+	return {
+		controls,
+		keyState,
+		onKeyDown,
+		onClick,
+		onMouseDown,
+		onMouseUp,
+	};
+}
@@ -0,0 +1,245 @@
+import * as THREE from "three";
+
+/**
+ * Light estimation - lights meshes with the captured scene instead of
+ * hand-placed lights
+ *
+ * A probe looks at the splats within `PROBE_RADIUS` of a point: the nearest
+ * splat in every direction (a longitude / latitude grid) gives the light
+ * arriving from there. The grid is projected onto spherical harmonics (L2),
+ * which fills the gaps and smooths it, then baked into a small
+ * equirectangular environment map. Three.js turns that into image-based
+ * lighting for MeshStandardMaterial (diffuse irradiance and reflections).
+ *
+ * Every object handed to `addObject` (characters, props) gets a probe at the
+ * centre of its bounds, set as the `envMap` of its materials. A probe at the
+ * player's start becomes `scene.environment` for everything else. Probes are
+ * taken once, when the splats have loaded (`setSplats`) or, for objects added
+ * later, when they are added, so a ragdoll keeps the light of where it stood.
+ * Each probe pass visits every splat, so requests are gathered and served
+ * together by `update()`, at most once per frame.
+ *
+ * Until the splats load a plain hemisphere light stands in.
+ */
+
+const SH_COEFFICIENTS = 9;
+
+/**
+ * Spherical harmonics of the light around each position (Vector3, world
+ * space), from the splats of `splatMesh`; null for a position without any
+ * splat around it. One pass over the splats serves every position.
+ */
+export function computeSplatProbes(splatMesh, positions, settings) {
+	const { PROBE_RADIUS, MIN_DISTANCE, MIN_SPLAT_OPACITY, LONGITUDE_BINS, MAX_SPLATS } = settings;
+	const latitudeBins = LONGITUDE_BINS / 2;
+	const binCount = LONGITUDE_BINS * latitudeBins;
+
+	// Per position: distance and linear colour of the nearest splat in each bin
+	const grids = positions.map(() => ({
+		distances: new Float32Array(binCount).fill(Infinity),
+		colors: new Float32Array(3 * binCount),
+	}));
+
+	splatMesh.updateMatrixWorld();
+	const stride = Math.max(1, Math.ceil(splatMesh.packedSplats.numSplats / MAX_SPLATS));
+	const point = new THREE.Vector3();
+	const direction = new THREE.Vector3();
+	const linear = new THREE.Color();
+	splatMesh.packedSplats.forEachSplat((index, center, scales, quaternion, opacity, color) => {
+		if (index % stride !== 0 || opacity < MIN_SPLAT_OPACITY) return;
+		point.copy(center).applyMatrix4(splatMesh.matrixWorld);
+
+		positions.forEach((position, p) => {
+			direction.subVectors(point, position);
+			const distance = direction.length();
+			if (distance < MIN_DISTANCE || distance > PROBE_RADIUS) return;
+			direction.divideScalar(distance);
+
+			// Same layout as the equirectangular map (see bakeProbeTexture)
+			const u = Math.atan2(direction.z, direction.x) / (2 * Math.PI) + 0.5;
+			const v = Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1)) / Math.PI + 0.5;
+			const i = Math.min(LONGITUDE_BINS - 1, Math.floor(u * LONGITUDE_BINS));
+			const j = Math.min(latitudeBins - 1, Math.floor(v * latitudeBins));
+			const bin = j * LONGITUDE_BINS + i;
+
+			const grid = grids[p];
+			if (distance >= grid.distances[bin]) return;
+			grid.distances[bin] = distance;
+			// Splat colours are display (sRGB) values
+			linear.copy(color).convertSRGBToLinear();
+			grid.colors[3 * bin] = linear.r;
+			grid.colors[3 * bin + 1] = linear.g;
+			grid.colors[3 * bin + 2] = linear.b;
+		});
+	});
+
+	return grids.map((grid) => projectGrid(grid, LONGITUDE_BINS, latitudeBins));
+}
+
+/**
+ * Projects a direction grid onto spherical harmonics (as three's
+ * LightProbeGenerator does for cube maps); empty bins get the mean colour
+ */
+function projectGrid({ distances, colors }, width, height) {
+	const mean = new THREE.Vector3();
+	let filled = 0;
+	for (let bin = 0; bin < distances.length; bin++) {
+		if (distances[bin] === Infinity) continue;
+		mean.x += colors[3 * bin];
+		mean.y += colors[3 * bin + 1];
+		mean.z += colors[3 * bin + 2];
+		filled++;
+	}
+	if (filled === 0) return null;
+	mean.divideScalar(filled);
+
+	const sh = new THREE.SphericalHarmonics3();
+	const basis = new Array(SH_COEFFICIENTS);
+	const direction = new THREE.Vector3();
+	const radiance = new THREE.Vector3();
+	let totalWeight = 0;
+
+	for (let j = 0; j < height; j++) {
+		const latitude = ((j + 0.5) / height - 0.5) * Math.PI;
+		// Solid angle of a bin shrinks towards the poles
+		const weight = Math.cos(latitude);
+		for (let i = 0; i < width; i++) {
+			const bin = j * width + i;
+			directionAt((i + 0.5) / width, latitude, direction);
+			THREE.SphericalHarmonics3.getBasisAt(direction, basis);
+			if (distances[bin] === Infinity) radiance.copy(mean);
+			else radiance.fromArray(colors, 3 * bin);
+
+			for (let k = 0; k < SH_COEFFICIENTS; k++) {
+				sh.coefficients[k].addScaledVector(radiance, basis[k] * weight);
+			}
+			totalWeight += weight;
+		}
+	}
+	return sh.scale((4 * Math.PI) / totalWeight);
+}
+
+// Direction of a point of the equirectangular map (three's equirectUv, inverted)
+function directionAt(u, latitude, target) {
+	const longitude = (u - 0.5) * 2 * Math.PI;
+	return target.set(
+		Math.cos(latitude) * Math.cos(longitude),
+		Math.sin(latitude),
+		Math.cos(latitude) * Math.sin(longitude),
+	);
+}
+
+/**
+ * Equirectangular environment map of the light described by `sh`
+ */
+export function bakeProbeTexture(sh, width) {
+	const height = width / 2;
+	const data = new Float32Array(4 * width * height);
+	const direction = new THREE.Vector3();
+	const radiance = new THREE.Vector3();
+
+	for (let j = 0; j < height; j++) {
+		const latitude = ((j + 0.5) / height - 0.5) * Math.PI;
+		for (let i = 0; i < width; i++) {
+			sh.getAt(directionAt((i + 0.5) / width, latitude, direction), radiance);
+			const offset = 4 * (j * width + i);
+			// Low orders ring below zero around bright spots
+			data[offset] = Math.max(0, radiance.x);
+			data[offset + 1] = Math.max(0, radiance.y);
+			data[offset + 2] = Math.max(0, radiance.z);
+			data[offset + 3] = 1;
+		}
+	}
+
+	const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, THREE.FloatType);
+	texture.mapping = THREE.EquirectangularReflectionMapping;
+	texture.colorSpace = THREE.LinearSRGBColorSpace;
+	texture.magFilter = THREE.LinearFilter;
+	texture.needsUpdate = true;
+	return texture;
+}
+
+export function createLightEstimation({ scene, config }) {
+	const settings = config.LIGHTING;
+	let splatMesh = null;
+	let environmentPending = false; // Start-position probe still to take
+	const pending = []; // Objects waiting for the next probe pass
+	const probes = new Map(); // Object → { sh, texture }
+
+	const fallbackLight = new THREE.HemisphereLight(0xffffff, 0x404040, settings.FALLBACK_INTENSITY);
+	scene.add(fallbackLight);
+
+	function applyProbe(object, texture) {
+		object.traverse((child) => {
+			if (!child.isMesh) return;
+			for (const material of [child.material].flat()) {
+				if (!material?.isMeshStandardMaterial) continue;
+				material.envMap = texture;
+				material.envMapIntensity = settings.INTENSITY;
+				material.needsUpdate = true;
+			}
+		});
+	}
+
+	function setEnvironment(sh) {
+		if (!sh) {
+			console.warn("No splats around the start position to light the scene with");
+			return;
+		}
+		scene.environment = bakeProbeTexture(sh, settings.MAP_WIDTH);
+		scene.environmentIntensity = settings.INTENSITY;
+		scene.remove(fallbackLight);
+	}
+
+	/**
+	 * Takes the requested probes in one pass over the splats; call once per frame
+	 */
+	function update() {
+		if (!splatMesh || (!environmentPending && pending.length === 0)) return;
+		const objects = pending.splice(0);
+		const centers = objects.map((object) =>
+			new THREE.Box3().setFromObject(object).getCenter(new THREE.Vector3()),
+		);
+		if (environmentPending) {
+			const { x, y, z } = config.INITIAL_POSITION;
+			centers.push(new THREE.Vector3(x, y, z));
+		}
+
+		const shs = computeSplatProbes(splatMesh, centers, settings);
+		if (environmentPending) {
+			environmentPending = false;
+			setEnvironment(shs.pop());
+		}
+		shs.forEach((sh, i) => {
+			// Outside the captured scene: leave it to scene.environment
+			if (!sh) return;
+			const texture = bakeProbeTexture(sh, settings.MAP_WIDTH);
+			probes.set(objects[i], { sh, texture });
+			applyProbe(objects[i], texture);
+		});
+		if (objects.length > 0) console.log(`✓ ${objects.length} light probes from the splats`);
+	}
+
+	/**
+	 * The environment splats, once loaded
+	 */
+	function setSplats(mesh) {
+		splatMesh = mesh;
+		environmentPending = true;
+	}
+
+	/**
+	 * Lights `object` (already placed in the scene) from where it stands,
+	 * at the next `update()`
+	 */
+	function addObject(object) {
+		pending.push(object);
+	}
+
+	return {
+		setSplats,
+		addObject,
+		update,
+		probes,
+	};
+}
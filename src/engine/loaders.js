@@ -0,0 +1,44 @@
+import { LoaderUtils } from "three";
+import { FBXLoader } from "three/examples/jsm/loaders/FBXLoader.js";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { ASSET_PRIORITY } from "./assets.js";
+
+/**
+ * Creates the shared model loaders
+ * Files are downloaded through `assets` (see assets.js) and parsed here
+ */
+export function createLoaders(assets) {
+	return {
+		gltf: new GLTFLoader(),
+		fbx: new FBXLoader(),
+		assets,
+	};
+}
+
+function parseGLTF(bytes, url, loaders) {
+	return new Promise((resolve, reject) => {
+		loaders.gltf.parse(bytes, LoaderUtils.extractUrlBase(url), resolve, reject);
+	});
+}
+
+/**
+ * Loads a glTF/GLB file, resolving with the parsed gltf object
+ */
+export async function loadGLTF(url, loaders, priority = ASSET_PRIORITY.NORMAL) {
+	const bytes = await loaders.assets.fetchBytes(url, { priority });
+	return parseGLTF(bytes, url, loaders);
+}
+
+/**
+ * Loads a character model, picking the loader from the file extension
+ * Resolves with the root object and its animation clips
+ */
+export async function loadCharacterModel(url, loaders, priority = ASSET_PRIORITY.NORMAL) {
+	const bytes = await loaders.assets.fetchBytes(url, { priority });
+	if (url.toLowerCase().endsWith(".fbx")) {
+		const fbx = loaders.fbx.parse(bytes, LoaderUtils.extractUrlBase(url));
+		return { object: fbx, animations: fbx.animations };
+	}
+	const gltf = await parseGLTF(bytes, url, loaders);
+	return { object: gltf.scene, animations: gltf.animations };
+}
@@ -0,0 +1,60 @@
+import * as THREE from "three";
+
+const CONVERTED_TYPES = ["MeshBasicMaterial", "MeshLambertMaterial", "MeshPhongMaterial"];
+
+/**
+ * Configures materials to respond properly to lighting
+ * Converts basic, Lambert and Phong materials (FBX files use Phong) to
+ * MeshStandardMaterial, which image-based lighting (see light_estimation.js)
+ * lights, and adjusts properties
+ */
+export function setupMaterialsForLighting(object, brightnessMultiplier = 1.0) {
+	object.traverse((child) => {
+		if (!child.isMesh || !child.material) return;
+
+		const materials = Array.isArray(child.material)
+			? child.material
+			: [child.material];
+
+		const newMaterials = materials.map((source) => {
+			let material = source;
+
+			// Remove emissive properties
+			if (material.emissive) material.emissive.setHex(0x000000);
+			if (material.emissiveIntensity !== undefined)
+				material.emissiveIntensity = 0;
+
+			// Convert other materials to standard materials for lighting
+			if (CONVERTED_TYPES.includes(material.type)) {
+				material = new THREE.MeshStandardMaterial({
+					color: material.color,
+					map: material.map,
+					normalMap: material.normalMap,
+					transparent: material.transparent,
+					opacity: material.opacity,
+				});
+			}
+
+			// Adjust material properties
+			if (material.roughness !== undefined) material.roughness = 0.8;
+			if (material.metalness !== undefined) material.metalness = 0.1;
+
+			// Apply brightness multiplier
+			if (material.color && brightnessMultiplier !== 1.0) {
+				material.color = material.color.clone().multiplyScalar(brightnessMultiplier);
+			}
+
+			// Fix transparency issues
+			if (material.transparent && material.opacity === 1) {
+				material.transparent = false;
+			}
+
+			return material;
+		});
+
+		// Update mesh material reference
+		child.material = Array.isArray(child.material)
+			? newMaterials
+			: newMaterials[0];
+	});
+}
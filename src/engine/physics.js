@@ -0,0 +1,50 @@
+import * as RAPIER from "@dimforge/rapier3d-compat";
+import { createColliderDesc } from "./collider_builder.js";
+
+/**
+ * Collision group bits, combined with `interactionGroups`
+ * Colliders without explicit groups interact with everything.
+ */
+export const COLLISION_GROUPS = {
+	ENVIRONMENT: 0x0001,
+	PLAYER: 0x0002,
+	PROJECTILE: 0x0004,
+	CHARACTER: 0x0008,
+	PROP: 0x0010,
+	ALL: 0xffff,
+};
+
+/**
+ * Packs membership and filter bits into a Rapier interaction group value
+ */
+export function interactionGroups(memberships, filter) {
+	return ((memberships & 0xffff) << 16) | (filter & 0xffff);
+}
+
+/**
+ * Initializes the Rapier WASM module, failing after `timeout` milliseconds
+ */
+export async function initRapier(timeout) {
+	const timeoutPromise = new Promise((_, reject) =>
+		setTimeout(
+			() => reject(new Error("Rapier initialization timeout")),
+			timeout,
+		),
+	);
+	await Promise.race([RAPIER.init(), timeoutPromise]);
+}
+
+/**
+ * Creates one fixed collider per shape (see collider_builder.js)
+ */
+export function createEnvironmentColliders(shapes, world, restitution) {
+	return shapes.map((shape) => {
+		const colliderDesc = createColliderDesc(shape)
+			.setRestitution(restitution)
+			.setCollisionGroups(
+				interactionGroups(COLLISION_GROUPS.ENVIRONMENT, COLLISION_GROUPS.ALL),
+			);
+		const body = world.createRigidBody(RAPIER.RigidBodyDesc.fixed());
+		return world.createCollider(colliderDesc, body);
+	});
+}
@@ -0,0 +1,260 @@
+import * as RAPIER from "@dimforge/rapier3d-compat";
+import * as THREE from "three";
+import { COLLISION_GROUPS, interactionGroups } from "./physics.js";
+
+/**
+ * Player controller - first-person movement in two modes
+ *
+ * "walk": a capsule driven by Rapier's KinematicCharacterController. It
+ * collides with the tavern trimesh and the characters, pushes props, falls
+ * under gravity, steps up stairs, slides along walls and jumps (Space). It runs once per
+ * physics step and the camera is interpolated between steps like projectiles.
+ *
+ * "fly": free flight without collisions; WASD plus R/F move the camera
+ * directly every frame.
+ *
+ * Walking only starts once the environment colliders exist, so the player
+ * does not fall through the floor while the collision mesh is still loading.
+ * If it never loads (failed or skipped) the engine switches to flying.
+ * Without a physics world (`attachPhysics`) the player always flies.
+ */
+
+export const PLAYER_MODES = ["walk", "fly"];
+
+export function createPlayerController({ camera, input, config, environment }) {
+	const settings = config.PLAYER;
+	const { keyState, controls } = input;
+
+	let mode = PLAYER_MODES.includes(settings.MODE) ? settings.MODE : "walk";
+	let verticalVelocity = 0;
+	let jumpRequested = false;
+
+	const origin = new THREE.Vector3(
+		config.INITIAL_POSITION.x,
+		config.INITIAL_POSITION.y,
+		config.INITIAL_POSITION.z,
+	);
+
+	// Capsule centre sits EYE_HEIGHT below the camera
+	const eyeOffset = new THREE.Vector3(0, settings.EYE_HEIGHT, 0);
+
+	// Created by attachPhysics
+	let body = null;
+	let collider = null;
+	let controller = null;
+
+	// Interpolation state for the camera in walk mode
+	const previousPosition = new THREE.Vector3().copy(camera.position);
+	const currentPosition = new THREE.Vector3().copy(camera.position);
+
+	/**
+	 * Creates the player capsule and its character controller, at the camera
+	 */
+	function attachPhysics({ world, collisionEvents }) {
+		body = world.createRigidBody(
+			RAPIER.RigidBodyDesc.kinematicPositionBased().setTranslation(
+				camera.position.x,
+				camera.position.y - settings.EYE_HEIGHT,
+				camera.position.z,
+			),
+		);
+		collider = world.createCollider(
+			RAPIER.ColliderDesc.capsule(settings.HALF_HEIGHT, settings.RADIUS)
+				.setCollisionGroups(
+					interactionGroups(
+						COLLISION_GROUPS.PLAYER,
+						COLLISION_GROUPS.ALL & ~COLLISION_GROUPS.PROJECTILE,
+					),
+				),
+			body,
+		);
+
+		collisionEvents.register(collider, { kind: "player" });
+
+		controller = world.createCharacterController(settings.CONTROLLER_OFFSET);
+		controller.setUp({ x: 0, y: 1, z: 0 });
+		controller.setSlideEnabled(true);
+		controller.enableAutostep(settings.STEP_HEIGHT, settings.STEP_MIN_WIDTH, false);
+		controller.enableSnapToGround(settings.SNAP_TO_GROUND);
+		controller.setMaxSlopeClimbAngle(THREE.MathUtils.degToRad(settings.MAX_SLOPE_CLIMB));
+		controller.setMinSlopeSlideAngle(THREE.MathUtils.degToRad(settings.MIN_SLOPE_SLIDE));
+		controller.setApplyImpulsesToDynamicBodies(true);
+		controller.setCharacterMass(settings.MASS);
+
+		teleportBody(camera.position);
+	}
+
+	input.onKeyDown("Space", () => {
+		if (mode === "walk" && controls.isLocked) jumpRequested = true;
+	});
+
+	/**
+	 * Horizontal/vertical input in camera space, not yet scaled by speed
+	 */
+	function readMoveInput(includeVertical) {
+		const move = new THREE.Vector3();
+		if (!controls.isLocked) return move;
+
+		if (keyState.KeyW) move.z += 1;
+		if (keyState.KeyS) move.z -= 1;
+		if (keyState.KeyA) move.x += 1;
+		if (keyState.KeyD) move.x -= 1;
+		if (includeVertical && keyState.KeyR) move.y += 1;
+		if (includeVertical && keyState.KeyF) move.y -= 1;
+
+		if (move.lengthSq() > 0) move.normalize();
+		return move;
+	}
+
+	/**
+	 * Converts camera-space input into a world-space displacement
+	 */
+	function toWorldDisplacement(move, distance) {
+		const forward = new THREE.Vector3();
+		camera.getWorldDirection(forward);
+		forward.y = 0;
+		forward.normalize();
+
+		const right = new THREE.Vector3();
+		right.crossVectors(camera.up, forward).normalize();
+
+		return new THREE.Vector3()
+			.addScaledVector(forward, move.z * distance)
+			.addScaledVector(right, move.x * distance)
+			.addScaledVector(camera.up, move.y * distance);
+	}
+
+	// Keep the player inside the walking area (ignores height)
+	function isInsideWalkingArea(position) {
+		if (config.WALKING_RADIUS === null) return true;
+		const dx = position.x - origin.x;
+		const dz = position.z - origin.z;
+		return Math.sqrt(dx * dx + dz * dz) <= config.WALKING_RADIUS;
+	}
+
+	function teleportBody(eyePosition) {
+		const center = eyePosition.clone().sub(eyeOffset);
+		body.setTranslation(center, true);
+		previousPosition.copy(eyePosition);
+		currentPosition.copy(eyePosition);
+		verticalVelocity = 0;
+	}
+
+	/**
+	 * Fly mode: move the camera directly, once per rendered frame
+	 */
+	function updateFlying(deltaTime) {
+		const move = readMoveInput(true);
+		if (move.lengthSq() === 0) return;
+
+		const newPosition = camera.position
+			.clone()
+			.add(toWorldDisplacement(move, config.MOVE_SPEED * deltaTime));
+		if (!isInsideWalkingArea(newPosition)) return;
+
+		camera.position.copy(newPosition);
+	}
+
+	/**
+	 * Walk mode: move the capsule through the character controller, once per physics step
+	 */
+	function step(deltaTime) {
+		if (mode !== "walk" || !controller) return;
+		if (!environment.colliders) return; // Wait for the floor to exist
+
+		const desired = toWorldDisplacement(
+			readMoveInput(false),
+			config.MOVE_SPEED * deltaTime,
+		);
+
+		if (jumpRequested && controller.computedGrounded()) {
+			verticalVelocity = settings.JUMP_SPEED;
+		}
+		jumpRequested = false;
+
+		verticalVelocity += config.GRAVITY.y * deltaTime;
+		desired.y = verticalVelocity * deltaTime;
+
+		controller.computeColliderMovement(
+			collider,
+			desired,
+			RAPIER.QueryFilterFlags.EXCLUDE_SENSORS,
+			collider.collisionGroups(),
+		);
+		const corrected = controller.computedMovement();
+
+		// Landing or bumping the head stops vertical motion
+		const blockedVertically = Math.abs(corrected.y - desired.y) > 1e-4;
+		if (controller.computedGrounded() && verticalVelocity < 0) {
+			verticalVelocity = 0;
+		} else if (blockedVertically && verticalVelocity > 0) {
+			verticalVelocity = 0;
+		}
+
+		const center = body.translation();
+		const next = new THREE.Vector3(
+			center.x + corrected.x,
+			center.y + corrected.y,
+			center.z + corrected.z,
+		);
+		if (!isInsideWalkingArea(next)) {
+			next.x = center.x;
+			next.z = center.z;
+		}
+
+		// Fell out of the level: start over
+		if (next.y < origin.y - settings.FALL_RESET_DEPTH) {
+			teleportBody(origin);
+			return;
+		}
+
+		body.setNextKinematicTranslation(next);
+		previousPosition.copy(currentPosition);
+		currentPosition.copy(next).add(eyeOffset);
+	}
+
+	/**
+	 * Once per rendered frame: fly directly, or place the camera between
+	 * the last two walk steps
+	 */
+	function update(deltaTime, alpha) {
+		if (mode === "fly" || !controller) {
+			updateFlying(deltaTime);
+			return;
+		}
+		camera.position.lerpVectors(previousPosition, currentPosition, alpha);
+	}
+
+	function setMode(newMode) {
+		if (!PLAYER_MODES.includes(newMode) || newMode === mode) return;
+		mode = newMode;
+
+		// Start walking from wherever the player flew to
+		if (mode === "walk" && body) teleportBody(camera.position);
+	}
+
+	return {
+		attachPhysics,
+		step,
+		update,
+		setMode,
+		toggleMode() {
+			setMode(mode === "walk" ? "fly" : "walk");
+		},
+		get mode() {
+			return mode;
+		},
+		get body() {
+			return body;
+		},
+		get collider() {
+			return collider;
+		},
+		get controller() {
+			return controller;
+		},
+		get grounded() {
+			return controller?.computedGrounded() ?? false;
+		},
+	};
+}
@@ -0,0 +1,280 @@
+import * as RAPIER from "@dimforge/rapier3d-compat";
+import * as THREE from "three";
+import { CONTACT_EVENTS } from "./collision_events.js";
+import { loadGLTF } from "./loaders.js";
+import { COLLISION_GROUPS, interactionGroups } from "./physics.js";
+
+/**
+ * Projectile system - spawns physics projectiles of the types in
+ * `config.PROJECTILE_TYPES` (spheres, boxes, capsules and convex hulls of GLB models)
+ *
+ * Projectile colliders report contacts through the collision events
+ * (kind "projectile"). Meshes are drawn between the last two physics states
+ * (`interpolate`), so motion stays smooth when the display and physics rates differ.
+ *
+ * All projectiles of a type share one geometry and material. Despawned
+ * projectiles are not destroyed: their body is disabled and the mesh hidden,
+ * and the next shot of the same type reuses them. A projectile is despawned
+ * when its body falls asleep, when it is older than PROJECTILE_MAX_AGE, when
+ * it falls below the kill plane, or (oldest first) when a new shot would
+ * exceed PROJECTILE_MAX_COUNT.
+ *
+ * Model-based types become available once their GLB has loaded; a type whose
+ * model fails to load is left out. Nothing can be shot until the physics
+ * world is attached (`attachPhysics`).
+ */
+
+/**
+ * Builds a projectile type from its config entry
+ * Returns null (with a warning) when the entry cannot be used
+ */
+function createProjectileType(id, definition, scale) {
+	const type = { id, ...definition, ready: true };
+
+	switch (definition.shape) {
+		case "sphere": {
+			const radius = definition.radius * scale;
+			type.geometry = new THREE.SphereGeometry(radius, 16, 16);
+			type.createColliderDesc = () => RAPIER.ColliderDesc.ball(radius);
+			break;
+		}
+		case "box": {
+			const [x, y, z] = definition.halfExtents.map((value) => value * scale);
+			type.geometry = new THREE.BoxGeometry(2 * x, 2 * y, 2 * z);
+			type.createColliderDesc = () => RAPIER.ColliderDesc.cuboid(x, y, z);
+			break;
+		}
+		case "capsule": {
+			const radius = definition.radius * scale;
+			const halfHeight = definition.halfHeight * scale;
+			type.geometry = new THREE.CapsuleGeometry(radius, 2 * halfHeight, 8, 16);
+			type.createColliderDesc = () =>
+				RAPIER.ColliderDesc.capsule(halfHeight, radius);
+			break;
+		}
+		case "convex":
+			// Geometry and collider come from the model, see loadConvexType
+			type.ready = false;
+			type.scale = (definition.scale ?? 1) * scale;
+			break;
+		default:
+			console.warn(`Unknown projectile shape "${definition.shape}" for type "${id}"`);
+			return null;
+	}
+
+	if (type.geometry) {
+		type.material = new THREE.MeshStandardMaterial({ color: definition.color });
+	}
+	return type;
+}
+
+/**
+ * Loads the model of a "convex" type and builds its collider from the
+ * convex hull of every vertex in the model
+ */
+async function loadConvexType(type, loaders) {
+	const gltf = await loadGLTF(type.model, loaders);
+	const template = gltf.scene;
+	template.scale.setScalar(type.scale);
+	template.updateMatrixWorld(true);
+
+	const points = [];
+	const vertex = new THREE.Vector3();
+	template.traverse((child) => {
+		if (!child.isMesh) return;
+		const positions = child.geometry.attributes.position;
+		for (let i = 0; i < positions.count; i++) {
+			vertex.fromBufferAttribute(positions, i).applyMatrix4(child.matrixWorld);
+			points.push(vertex.x, vertex.y, vertex.z);
+		}
+	});
+
+	const hull = new Float32Array(points);
+	if (!RAPIER.ColliderDesc.convexHull(hull)) {
+		throw new Error(`No convex hull for ${type.model}`);
+	}
+
+	type.template = template;
+	type.createColliderDesc = () => RAPIER.ColliderDesc.convexHull(hull);
+	type.ready = true;
+}
+
+export function createProjectileSystem({ scene, config, loaders }) {
+	let physics = null; // { world, collisionEvents } once attached
+	const projectiles = []; // Live, oldest first
+	const pools = new Map(); // Type id → despawned projectiles
+
+	const killPlaneY = config.INITIAL_POSITION.y - config.PROJECTILE_KILL_DEPTH;
+
+	const types = new Map();
+	for (const [id, definition] of Object.entries(config.PROJECTILE_TYPES)) {
+		if (!definition) continue;
+		const type = createProjectileType(id, definition, config.PROJECTILE_SCALE);
+		if (!type) continue;
+
+		types.set(id, type);
+		pools.set(id, []);
+
+		if (type.shape === "convex") {
+			loadConvexType(type, loaders)
+				.then(() => console.log(`✓ Projectile type loaded (${type.name})`))
+				.catch((error) => {
+					console.warn(`Projectile type "${id}" unavailable:`, error);
+					types.delete(id);
+				});
+		}
+	}
+
+	function createProjectile(type) {
+		const { world, collisionEvents } = physics;
+		const mesh = type.template
+			? type.template.clone()
+			: new THREE.Mesh(type.geometry, type.material);
+		scene.add(mesh);
+
+		const body = world.createRigidBody(RAPIER.RigidBodyDesc.dynamic());
+		// Projectiles start inside the player capsule, so they ignore the player
+		const colliderDesc = type
+			.createColliderDesc()
+			.setDensity(type.density)
+			.setFriction(type.friction)
+			.setRestitution(type.restitution)
+			.setCollisionGroups(
+				interactionGroups(
+					COLLISION_GROUPS.PROJECTILE,
+					COLLISION_GROUPS.ALL & ~COLLISION_GROUPS.PLAYER,
+				),
+			)
+			.setActiveEvents(CONTACT_EVENTS)
+			.setContactForceEventThreshold(config.CONTACT_FORCE_EVENT_THRESHOLD);
+		const collider = world.createCollider(colliderDesc, body);
+
+		const projectile = {
+			type,
+			mesh,
+			body,
+			collider,
+			age: 0,
+			previousPosition: new THREE.Vector3(),
+			currentPosition: new THREE.Vector3(),
+			previousQuaternion: new THREE.Quaternion(),
+			currentQuaternion: new THREE.Quaternion(),
+		};
+		collisionEvents.register(collider, { kind: "projectile", projectile });
+		return projectile;
+	}
+
+	function despawn(projectile) {
+		const index = projectiles.indexOf(projectile);
+		if (index === -1) return;
+		projectiles.splice(index, 1);
+
+		projectile.body.setEnabled(false);
+		projectile.mesh.visible = false;
+		pools.get(projectile.type.id).push(projectile);
+	}
+
+	/**
+	 * Launches a projectile of type `typeId` from `origin` along `direction`
+	 * `speed` defaults to the type's speed, then PROJECTILE_SPEED
+	 * Returns null when the type is unknown or still loading, or without physics
+	 */
+	function shoot(origin, direction, typeId = config.PROJECTILE_TYPE, speed) {
+		const type = types.get(typeId);
+		if (!type?.ready || !physics) return null;
+
+		if (projectiles.length >= config.PROJECTILE_MAX_COUNT) despawn(projectiles[0]);
+
+		const projectile = pools.get(typeId).pop() ?? createProjectile(type);
+		const { body, mesh } = projectile;
+
+		// Launch projectile, facing along its flight direction
+		const forward = direction.clone().normalize();
+		const velocity = forward
+			.clone()
+			.multiplyScalar(speed ?? type.speed ?? config.PROJECTILE_SPEED);
+		const rotation = new THREE.Quaternion().setFromUnitVectors(
+			new THREE.Vector3(0, 0, -1),
+			forward,
+		);
+		body.setEnabled(true);
+		body.setTranslation(origin, false);
+		body.setRotation(rotation, false);
+		body.setAngvel({ x: 0, y: 0, z: 0 }, false);
+		body.setLinvel(velocity, true);
+
+		projectile.age = 0;
+		projectile.previousPosition.copy(origin);
+		projectile.currentPosition.copy(origin);
+		projectile.previousQuaternion.copy(rotation);
+		projectile.currentQuaternion.copy(rotation);
+		mesh.position.copy(origin);
+		mesh.quaternion.copy(rotation);
+		mesh.visible = true;
+
+		projectiles.push(projectile);
+		return projectile;
+	}
+
+	function shouldDespawn(projectile) {
+		if (projectile.age > config.PROJECTILE_MAX_AGE) return true;
+		if (projectile.currentPosition.y < killPlaneY) return true;
+		return config.PROJECTILE_DESPAWN_ON_SLEEP && projectile.body.isSleeping();
+	}
+
+	// Record the new physics state and apply despawn rules, once per physics step
+	function afterStep(deltaTime) {
+		for (const projectile of projectiles) {
+			const pos = projectile.body.translation();
+			const rot = projectile.body.rotation();
+
+			projectile.previousPosition.copy(projectile.currentPosition);
+			projectile.previousQuaternion.copy(projectile.currentQuaternion);
+			projectile.currentPosition.set(pos.x, pos.y, pos.z);
+			projectile.currentQuaternion.set(rot.x, rot.y, rot.z, rot.w);
+			projectile.age += deltaTime;
+		}
+
+		for (const projectile of projectiles.filter(shouldDespawn)) {
+			despawn(projectile);
+		}
+	}
+
+	// Place meshes between the previous and current physics state
+	function interpolate(alpha) {
+		for (const projectile of projectiles) {
+			projectile.mesh.position.lerpVectors(
+				projectile.previousPosition,
+				projectile.currentPosition,
+				alpha,
+			);
+			projectile.mesh.quaternion.slerpQuaternions(
+				projectile.previousQuaternion,
+				projectile.currentQuaternion,
+				alpha,
+			);
+		}
+	}
+
+	function attachPhysics({ world, collisionEvents }) {
+		physics = { world, collisionEvents };
+	}
+
+	return {
+		projectiles,
+		types,
+		attachPhysics,
+		shoot,
+		despawn,
+		afterStep,
+		interpolate,
+		get liveCount() {
+			return projectiles.length;
+		},
+		get pooledCount() {
+			let count = 0;
+			for (const pool of pools.values()) count += pool.length;
+			return count;
+		},
+	};
+}
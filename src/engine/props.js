@@ -0,0 +1,268 @@
+import * as RAPIER from "@dimforge/rapier3d-compat";
+import * as THREE from "three";
+import { buildColliderShapes } from "./collider_builder.js";
+import { CONTACT_EVENTS } from "./collision_events.js";
+import { loadGLTF } from "./loaders.js";
+import { COLLISION_GROUPS, interactionGroups } from "./physics.js";
+
+/**
+ * Prop system - loose objects in the scene (mugs, chairs, barrels) as
+ * dynamic rigid bodies that projectiles and the player can knock around
+ *
+ * Props come from two places:
+ *   - the manifest's `props` list: a model placed like a character
+ *   - nodes of the collision mesh tagged with a `prop` glTF extra, e.g.
+ *     `"extras": { "prop": "wood" }` or `"extras": { "prop": { "material": "ceramic" } }`;
+ *     the environment hands them over instead of making them part of the
+ *     fixed room colliders (see environment.js)
+ *
+ * A prop's colliders are convex: its convex hull by default, or any convex
+ * collider mode (see collider_builder.js) given by the manifest entry or a
+ * `collider` extra. Density, friction, restitution and impact sound come from
+ * its material in `config.PROPS.MATERIALS`.
+ *
+ * Prop colliders report contacts through the collision events (kind "prop").
+ * Like projectiles, meshes are drawn between the last two physics states. A
+ * prop that falls below the kill plane is put back where it started.
+ *
+ * Bodies are created once the physics world is attached (`attachPhysics`);
+ * until then props stand still where they were placed.
+ *
+ * A prop's `cutout` ("remove" or "attach", from the manifest entry or the
+ * `prop` extra) cuts its baked splats out of the environment; with "attach"
+ * they move with the prop (see splat_cutouts.js). `onPropAdded` is called
+ * for every prop once it is created.
+ *
+ * Prop ids are the manifest `id` (default `prop<index>`) or the node name
+ * (default `node<index>`). Cut-out regions find props by id, so an id that is
+ * already taken gets a `_2`, `_3`… suffix, with a warning.
+ */
+
+const PROP_COLLIDER_MODE = "convexHull";
+const MIN_HALF_EXTENT = 0.01; // metres, for the box around a flat prop
+
+/**
+ * Convex collider shapes for `object`, in its own frame (scale included)
+ * Flat objects without any convex part get a thin box around them.
+ */
+function buildPropShapes(object, colliderMode) {
+	const position = object.position.clone();
+	const quaternion = object.quaternion.clone();
+	object.position.set(0, 0, 0);
+	object.quaternion.identity();
+	object.updateMatrixWorld(true);
+
+	const settings = { mode: colliderMode ?? PROP_COLLIDER_MODE };
+	const shapes = buildColliderShapes(object, settings).filter((shape) => shape.type === "convex");
+	const bounds = new THREE.Box3().setFromObject(object);
+
+	object.position.copy(position);
+	object.quaternion.copy(quaternion);
+	object.updateMatrixWorld(true);
+
+	if (shapes.length > 0 || bounds.isEmpty()) return shapes;
+
+	const center = bounds.getCenter(new THREE.Vector3());
+	const half = bounds.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+	return [
+		{
+			type: "box",
+			center,
+			halfExtents: half.toArray().map((value) => Math.max(value, MIN_HALF_EXTENT)),
+		},
+	];
+}
+
+function createShapeDesc(shape) {
+	if (shape.type === "box") {
+		const [x, y, z] = shape.halfExtents;
+		return RAPIER.ColliderDesc.cuboid(x, y, z).setTranslation(
+			shape.center.x,
+			shape.center.y,
+			shape.center.z,
+		);
+	}
+	return RAPIER.ColliderDesc.convexHull(shape.vertices);
+}
+
+export function createPropSystem({ manifest, scene, config, loaders, onPropAdded }) {
+	const settings = config.PROPS;
+	let physics = null; // { world, collisionEvents } once attached
+	const props = [];
+	const ids = new Set();
+	let taggedCount = 0;
+
+	const killPlaneY = config.INITIAL_POSITION.y - settings.KILL_DEPTH;
+
+	function getMaterial(name, id) {
+		const materialName = name ?? settings.MATERIAL;
+		const material = settings.MATERIALS[materialName];
+		if (material) return { name: materialName, ...material };
+
+		console.warn(`Unknown prop material "${materialName}" for prop "${id}"`);
+		return { name: settings.MATERIAL, ...settings.MATERIALS[settings.MATERIAL] };
+	}
+
+	function createBody(prop) {
+		const { world, collisionEvents } = physics;
+		const { object, material } = prop;
+
+		prop.body = world.createRigidBody(
+			RAPIER.RigidBodyDesc.dynamic()
+				.setTranslation(object.position.x, object.position.y, object.position.z)
+				.setRotation(object.quaternion)
+				.setLinearDamping(settings.LINEAR_DAMPING)
+				.setAngularDamping(settings.ANGULAR_DAMPING)
+				// Resting props wait to be hit instead of settling at load
+				.setSleeping(true),
+		);
+		prop.colliders = prop.shapes.map((shape) => {
+			const colliderDesc = createShapeDesc(shape)
+				.setDensity(material.density)
+				.setFriction(material.friction)
+				.setRestitution(material.restitution)
+				.setCollisionGroups(interactionGroups(COLLISION_GROUPS.PROP, COLLISION_GROUPS.ALL))
+				.setActiveEvents(CONTACT_EVENTS)
+				.setContactForceEventThreshold(config.CONTACT_FORCE_EVENT_THRESHOLD);
+			const collider = world.createCollider(colliderDesc, prop.body);
+			collisionEvents.register(collider, { kind: "prop", prop });
+			return collider;
+		});
+	}
+
+	function uniqueId(id) {
+		if (!ids.has(id)) return id;
+		let suffix = 2;
+		while (ids.has(`${id}_${suffix}`)) suffix++;
+		console.warn(`Prop id "${id}" is already taken, using "${id}_${suffix}"`);
+		return `${id}_${suffix}`;
+	}
+
+	/**
+	 * Adds `object` (already placed in the scene) as a prop
+	 */
+	function addProp(name, object, { material, collider, cutout }) {
+		const id = uniqueId(name);
+		const prop = {
+			id,
+			object,
+			cutout,
+			material: getMaterial(material, id),
+			shapes: buildPropShapes(object, collider),
+			body: null,
+			colliders: [],
+			spawnPosition: object.position.clone(),
+			spawnQuaternion: object.quaternion.clone(),
+			previousPosition: object.position.clone(),
+			currentPosition: object.position.clone(),
+			previousQuaternion: object.quaternion.clone(),
+			currentQuaternion: object.quaternion.clone(),
+		};
+		if (prop.shapes.length === 0) {
+			console.warn(`Prop "${id}" has no geometry to collide with`);
+			return null;
+		}
+
+		ids.add(id);
+		props.push(prop);
+		if (physics) createBody(prop);
+		onPropAdded?.(prop);
+		return prop;
+	}
+
+	function loadProp(definition, index) {
+		const id = definition.id ?? `prop${index}`;
+		return loadGLTF(definition.model, loaders)
+			.then((gltf) => {
+				const object = gltf.scene;
+				object.position.set(...definition.position);
+				object.rotation.set(...definition.rotation);
+				object.scale.set(...definition.scale);
+				scene.add(object);
+
+				addProp(id, object, definition);
+				console.log(`✓ Prop loaded (${id})`);
+			})
+			.catch((error) => {
+				console.error(`Failed to load prop "${id}":`, error);
+			});
+	}
+
+	function load() {
+		return Promise.all(manifest.props.map(loadProp));
+	}
+
+	/**
+	 * Turns nodes of the collision mesh tagged with a `prop` extra into props
+	 * The nodes must already be moved from the collision mesh to the scene.
+	 */
+	function addTaggedNodes(nodes) {
+		for (const node of nodes) {
+			const tag = node.userData.prop;
+			addProp(node.name || `node${taggedCount}`, node, {
+				material: typeof tag === "string" ? tag : tag?.material,
+				cutout: tag?.cutout,
+			});
+			taggedCount++;
+		}
+		if (nodes.length > 0) console.log(`✓ ${nodes.length} props from the collision mesh`);
+	}
+
+	function reset(prop) {
+		prop.body.setTranslation(prop.spawnPosition, false);
+		prop.body.setRotation(prop.spawnQuaternion, false);
+		prop.body.setLinvel({ x: 0, y: 0, z: 0 }, false);
+		prop.body.setAngvel({ x: 0, y: 0, z: 0 }, false);
+		prop.body.sleep();
+		prop.currentPosition.copy(prop.spawnPosition);
+		prop.currentQuaternion.copy(prop.spawnQuaternion);
+	}
+
+	// Record the new physics state, once per physics step
+	function afterStep() {
+		for (const prop of props) {
+			if (!prop.body) continue;
+
+			const pos = prop.body.translation();
+			const rot = prop.body.rotation();
+			prop.previousPosition.copy(prop.currentPosition);
+			prop.previousQuaternion.copy(prop.currentQuaternion);
+			prop.currentPosition.set(pos.x, pos.y, pos.z);
+			prop.currentQuaternion.set(rot.x, rot.y, rot.z, rot.w);
+
+			if (prop.currentPosition.y < killPlaneY) reset(prop);
+		}
+	}
+
+	// Place meshes between the previous and current physics state
+	function interpolate(alpha) {
+		for (const prop of props) {
+			if (!prop.body) continue;
+			prop.object.position.lerpVectors(prop.previousPosition, prop.currentPosition, alpha);
+			prop.object.quaternion.slerpQuaternions(
+				prop.previousQuaternion,
+				prop.currentQuaternion,
+				alpha,
+			);
+		}
+	}
+
+	function attachPhysics({ world, collisionEvents }) {
+		physics = { world, collisionEvents };
+		for (const prop of props) {
+			if (!prop.body) createBody(prop);
+		}
+	}
+
+	return {
+		props,
+		load,
+		addTaggedNodes,
+		attachPhysics,
+		afterStep,
+		interpolate,
+		get awakeCount() {
+			return props.filter((prop) => prop.body && !prop.body.isSleeping()).length;
+		},
+	};
+}
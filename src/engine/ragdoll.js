@@ -0,0 +1,258 @@
+import * as RAPIER from "@dimforge/rapier3d-compat";
+import * as THREE from "three";
+
+/**
+ * Ragdoll - knocks a character over when it is hit hard, then gets it back up
+ *
+ * Built on a character's bone colliders (see bone_colliders.js). States:
+ *   "animated":   bone bodies are kinematic and follow the animation
+ *   "ragdoll":    bone bodies are dynamic, joined to their parent bone's body
+ *                 by spherical joints (revolute for knees and elbows), and
+ *                 the skeleton follows the bodies
+ *   "recovering": bodies are kinematic again while the skeleton blends from
+ *                 the fallen pose back to the animation (the get-up)
+ *
+ * Joints are created when the ragdoll starts and removed when it ends, so an
+ * animated character costs nothing extra.
+ *
+ * Rapier's revolute joint takes one axis, used in the local frames of both
+ * bodies, so the two frames must agree. For the length of a ragdoll a hinge
+ * part's body takes its parent's rotation instead of its bone's: its collider
+ * is moved back in the body to stay put, and `frame` turns the body rotation
+ * into the bone rotation.
+ */
+
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _matrix = new THREE.Matrix4();
+const _parentInverse = new THREE.Matrix4();
+
+/**
+ * Sets a bone's local transform so that it ends up at the given world pose
+ * The parent's world matrix must be up to date
+ */
+function setBoneWorldPose(bone, position, quaternion, scale) {
+	_matrix.compose(position, quaternion, scale);
+	_parentInverse.copy(bone.parent.matrixWorld).invert();
+	_matrix.premultiply(_parentInverse);
+	_matrix.decompose(bone.position, bone.quaternion, bone.scale);
+	bone.updateMatrixWorld(true);
+}
+
+export function createRagdoll({ character, boneColliders, world, settings }) {
+	const isHinge = (name) =>
+		settings.HINGE_BONES.some((pattern) => new RegExp(pattern, "i").test(name));
+
+	// Per bone: its nearest ragdoll ancestor, its world scale and its rest pose
+	const parts = boneColliders.map((entry) => {
+		let parent = entry.bone.parent;
+		while (parent && !boneColliders.some((other) => other.bone === parent)) {
+			parent = parent.parent;
+		}
+		return {
+			...entry,
+			parent: boneColliders.find((other) => other.bone === parent) ?? null,
+			hinge: isHinge(entry.bone.name),
+			frame: new THREE.Quaternion(), // Body rotation → bone rotation
+			colliderPose: null, // The collider's own pose in the body, while re-framed
+			scale: entry.bone.getWorldScale(new THREE.Vector3()),
+			rest: {
+				position: entry.bone.position.clone(),
+				quaternion: entry.bone.quaternion.clone(),
+				scale: entry.bone.scale.clone(),
+			},
+			fallen: { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() },
+			animated: { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() },
+		};
+	});
+
+	const depth = (part) => (part.parent ? 1 + depth(part.parent) : 0);
+	const hingeParts = parts
+		.filter((part) => part.hinge && part.parent)
+		.sort((a, b) => depth(a) - depth(b));
+
+	let state = "animated";
+	let timer = 0;
+	let joints = [];
+
+	/**
+	 * Gives a hinge part's body the rotation of its parent's body, without
+	 * moving its collider; the parent must be re-framed first
+	 */
+	function alignFrame(part) {
+		const { body, collider } = part;
+		const bodyPosition = new THREE.Vector3().copy(body.translation());
+		const bodyRotation = new THREE.Quaternion().copy(body.rotation());
+		const colliderPosition = new THREE.Vector3().copy(collider.translation());
+		const colliderRotation = new THREE.Quaternion().copy(collider.rotation());
+		const toBody = new THREE.Quaternion().copy(part.parent.body.rotation()).invert();
+
+		const toOldBody = bodyRotation.clone().invert();
+		part.colliderPose = {
+			translation: colliderPosition.clone().sub(bodyPosition).applyQuaternion(toOldBody),
+			rotation: toOldBody.multiply(colliderRotation),
+		};
+		collider.setTranslationWrtParent(colliderPosition.sub(bodyPosition).applyQuaternion(toBody));
+		collider.setRotationWrtParent(toBody.clone().multiply(colliderRotation));
+		part.frame.copy(toBody).multiply(bodyRotation);
+		body.setRotation(toBody.invert(), true);
+	}
+
+	// Back to the bone's rotation, once the body is kinematic again
+	function restoreFrame(part) {
+		const { body, collider, colliderPose } = part;
+		body.setRotation(_quaternion.copy(body.rotation()).multiply(part.frame), true);
+		collider.setTranslationWrtParent(colliderPose.translation);
+		collider.setRotationWrtParent(colliderPose.rotation);
+		part.frame.identity();
+		part.colliderPose = null;
+	}
+
+	/**
+	 * Joint between a part and its parent part, anchored at the part's joint
+	 * (the bone origin, which is also its body origin)
+	 */
+	function createJoint(part) {
+		const parentBody = part.parent.body;
+		const parentPosition = new THREE.Vector3().copy(parentBody.translation());
+		const toParent = new THREE.Quaternion().copy(parentBody.rotation()).invert();
+
+		const anchor1 = new THREE.Vector3()
+			.copy(part.body.translation())
+			.sub(parentPosition)
+			.applyQuaternion(toParent);
+		const anchor2 = { x: 0, y: 0, z: 0 };
+
+		let data;
+		if (part.colliderPose) {
+			// Hinge across the bend between the two segments; a straight limb
+			// bends around the character's left-right axis
+			const parentDirection = new THREE.Vector3()
+				.copy(part.body.translation())
+				.sub(parentPosition);
+			const childDirection = new THREE.Vector3(0, 1, 0).applyQuaternion(
+				new THREE.Quaternion().copy(part.collider.rotation()),
+			);
+			const axis = new THREE.Vector3().crossVectors(parentDirection, childDirection);
+			if (axis.lengthSq() < 1e-4 * parentDirection.lengthSq()) {
+				character.getWorldQuaternion(_quaternion);
+				axis.copy(X_AXIS).applyQuaternion(_quaternion);
+			}
+			// Both bodies share a frame, so one local axis serves both
+			axis.normalize().applyQuaternion(toParent);
+			data = RAPIER.JointData.revolute(anchor1, anchor2, axis);
+		} else {
+			data = RAPIER.JointData.spherical(anchor1, anchor2);
+		}
+		const joint = world.createImpulseJoint(data, parentBody, part.body, true);
+		joint.setContactsEnabled(false);
+		return joint;
+	}
+
+	/**
+	 * Turns the character into a ragdoll, shoved along `direction`
+	 * `strength` scales the shove: 1 at the threshold impulse, at most 2
+	 */
+	function knockDown(bone, direction, strength) {
+		if (state !== "animated") return false;
+		state = "ragdoll";
+		timer = settings.DURATION;
+
+		// The struck bone moves fastest, the rest of the body follows along the chain
+		const push = direction.clone().normalize().multiplyScalar(settings.PUSH_SPEED * strength);
+		for (const part of parts) {
+			const { body, collider } = part;
+			collider.setDensity(settings.DENSITY);
+			body.setBodyType(RAPIER.RigidBodyType.Dynamic, true);
+			body.setLinearDamping(settings.LINEAR_DAMPING);
+			body.setAngularDamping(settings.ANGULAR_DAMPING);
+			body.setLinvel(part.bone === bone ? push : push.clone().multiplyScalar(0.5), true);
+			body.setAngvel({ x: 0, y: 0, z: 0 }, true);
+		}
+		// Parents first, as a re-framed parent's rotation is what its child takes
+		hingeParts.forEach(alignFrame);
+		joints = parts.filter((part) => part.parent).map(createJoint);
+		return true;
+	}
+
+	function getUp() {
+		state = "recovering";
+		timer = settings.BLEND_TIME;
+
+		for (const joint of joints) world.removeImpulseJoint(joint, true);
+		joints = [];
+
+		for (const part of parts) {
+			part.body.setBodyType(RAPIER.RigidBodyType.KinematicPositionBased, true);
+			part.fallen.position.copy(part.body.translation());
+			part.fallen.quaternion.copy(part.body.rotation()).multiply(part.frame);
+		}
+		hingeParts.forEach(restoreFrame);
+	}
+
+	/**
+	 * Call before the animation mixer poses the skeleton: the ragdoll overwrote
+	 * bone transforms the clips may not animate, so start again from the rest pose
+	 */
+	function beforeAnimation() {
+		if (state === "animated") return;
+		for (const { bone, rest } of parts) {
+			bone.position.copy(rest.position);
+			bone.quaternion.copy(rest.quaternion);
+			bone.scale.copy(rest.scale);
+		}
+	}
+
+	/**
+	 * Call after the animation mixer has posed the skeleton
+	 * Returns true while the bone bodies are driven by the skeleton
+	 */
+	function update(deltaTime) {
+		if (state === "animated") return true;
+
+		timer -= deltaTime;
+
+		if (state === "ragdoll") {
+			character.updateMatrixWorld(true);
+			for (const part of parts) {
+				setBoneWorldPose(
+					part.bone,
+					_position.copy(part.body.translation()),
+					_quaternion.copy(part.body.rotation()).multiply(part.frame),
+					part.scale,
+				);
+			}
+			if (timer <= 0) getUp();
+			return false;
+		}
+
+		// Recovering: blend from the fallen pose to the animated pose
+		character.updateMatrixWorld(true);
+		for (const part of parts) {
+			part.bone.getWorldPosition(part.animated.position);
+			part.bone.getWorldQuaternion(part.animated.quaternion);
+		}
+		const t = THREE.MathUtils.smoothstep(1 - Math.max(timer, 0) / settings.BLEND_TIME, 0, 1);
+		for (const part of parts) {
+			setBoneWorldPose(
+				part.bone,
+				_position.lerpVectors(part.fallen.position, part.animated.position, t),
+				_quaternion.slerpQuaternions(part.fallen.quaternion, part.animated.quaternion, t),
+				part.scale,
+			);
+		}
+		if (timer <= 0) state = "animated";
+		return true;
+	}
+
+	return {
+		knockDown,
+		beforeAnimation,
+		update,
+		get state() {
+			return state;
+		},
+	};
+}
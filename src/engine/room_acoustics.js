@@ -0,0 +1,134 @@
+import * as RAPIER from "@dimforge/rapier3d-compat";
+import * as THREE from "three";
+import { COLLISION_GROUPS, interactionGroups } from "./physics.js";
+
+/**
+ * Room acoustics - reverb and occlusion derived from the collision mesh
+ *
+ * `estimateRoom` measures the room the collision mesh encloses: its volume
+ * (from the bounding box, as scanned rooms are rarely closed meshes) and the
+ * area of all its surfaces, walls and furniture alike. Sabine's formula turns
+ * these into a reverberation time, and `createImpulseResponse` synthesises a
+ * matching impulse response for a ConvolverNode.
+ *
+ * `createOcclusionProbe` counts the environment surfaces between two points,
+ * which the audio system maps to a low-pass filter per sound.
+ */
+
+const SPEED_OF_SOUND = 343; // m/s
+const EARLY_REFLECTIONS = 12;
+const END_TOLERANCE = 0.05; // metres; surfaces this close to the source don't occlude it
+const SURFACE_STEP = 0.01; // metres a ray restarts past the surface it hit
+
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+
+/**
+ * Estimates the acoustics of the room enclosed by the meshes under `root`
+ * `absorption` is the average absorption coefficient of its surfaces (0-1)
+ * Returns { volume, surfaceArea, reverbTime, meanFreePath } in metres and seconds
+ */
+export function estimateRoom(root, absorption) {
+	root.updateMatrixWorld(true);
+	const bounds = new THREE.Box3().setFromObject(root);
+	const size = bounds.getSize(new THREE.Vector3());
+	const volume = size.x * size.y * size.z;
+
+	let surfaceArea = 0;
+	root.traverse((child) => {
+		if (!child.isMesh) return;
+		const { position } = child.geometry.attributes;
+		const index = child.geometry.index;
+		const count = index ? index.count : position.count;
+		for (let i = 0; i + 2 < count; i += 3) {
+			const vertex = (k) => (index ? index.getX(i + k) : i + k);
+			_a.fromBufferAttribute(position, vertex(0)).applyMatrix4(child.matrixWorld);
+			_b.fromBufferAttribute(position, vertex(1)).applyMatrix4(child.matrixWorld);
+			_c.fromBufferAttribute(position, vertex(2)).applyMatrix4(child.matrixWorld);
+			surfaceArea += _b.sub(_a).cross(_c.sub(_a)).length() / 2;
+		}
+	});
+
+	// Sabine: RT60 = 0.161 V / (S α)
+	const reverbTime = surfaceArea > 0 ? (0.161 * volume) / (surfaceArea * absorption) : 0;
+	const meanFreePath = surfaceArea > 0 ? (4 * volume) / surfaceArea : 0;
+	return { volume, surfaceArea, reverbTime, meanFreePath };
+}
+
+/**
+ * Synthesises a stereo impulse response for `room` (see `estimateRoom`)
+ * `settings` is REVERB from the config
+ */
+export function createImpulseResponse(audioContext, room, settings) {
+	const { sampleRate } = audioContext;
+	const reverbTime = THREE.MathUtils.clamp(room.reverbTime, settings.MIN_TIME, settings.MAX_TIME);
+	const length = Math.ceil(reverbTime * sampleRate);
+	const buffer = audioContext.createBuffer(2, length, sampleRate);
+
+	// First reflections arrive after about one mean free path
+	const firstReflection = Math.min(room.meanFreePath / SPEED_OF_SOUND, reverbTime / 4);
+	const decay = (time) => Math.exp((-6.91 * time) / reverbTime); // -60 dB at reverbTime
+
+	for (let channel = 0; channel < 2; channel++) {
+		const data = buffer.getChannelData(channel);
+
+		// Late tail: decaying noise that gets duller over time, as the
+		// wood absorbs high frequencies faster than low ones
+		let filtered = 0;
+		for (let i = 0; i < length; i++) {
+			const time = i / sampleRate;
+			const smoothing = 1 / (1 + (settings.DAMPING * time) / reverbTime);
+			filtered += smoothing * (Math.random() * 2 - 1 - filtered);
+			const onset = Math.min(time / (2 * firstReflection || 1), 1);
+			data[i] = filtered * decay(time) * onset;
+		}
+
+		// Early reflections: sparse taps within a few mean free paths,
+		// different per ear
+		for (let k = 0; k < EARLY_REFLECTIONS; k++) {
+			const time = firstReflection * (1 + Math.random() * 3);
+			const i = Math.floor(time * sampleRate);
+			if (i < length) data[i] += (Math.random() < 0.5 ? -1 : 1) * decay(time);
+		}
+	}
+	return buffer;
+}
+
+/**
+ * Returns `count(from, to)`, the number of environment surfaces a straight
+ * line from `from` to `to` crosses, up to `maxSurfaces`
+ *
+ * Rapier reports one hit per collider, however many of its triangles a ray
+ * crosses (the whole room is often a single trimesh), so the ray is cast
+ * again from just past every surface it hits.
+ */
+export function createOcclusionProbe(world, maxSurfaces) {
+	const groups = interactionGroups(COLLISION_GROUPS.ALL, COLLISION_GROUPS.ENVIRONMENT);
+	const direction = new THREE.Vector3();
+	const ray = new RAPIER.Ray({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 0 });
+
+	return function count(from, to) {
+		direction.subVectors(to, from);
+		const distance = direction.length();
+		if (distance <= END_TOLERANCE) return 0;
+		direction.divideScalar(distance);
+		ray.dir = { x: direction.x, y: direction.y, z: direction.z };
+
+		let surfaces = 0;
+		let travelled = 0;
+		while (surfaces < maxSurfaces) {
+			ray.origin = {
+				x: from.x + direction.x * travelled,
+				y: from.y + direction.y * travelled,
+				z: from.z + direction.z * travelled,
+			};
+			const hit = world.castRay(ray, distance - END_TOLERANCE - travelled, false, undefined, groups);
+			if (!hit) break;
+			surfaces++;
+			travelled += hit.toi + SURFACE_STEP;
+			if (travelled >= distance - END_TOLERANCE) break;
+		}
+		return surfaces;
+	};
+}
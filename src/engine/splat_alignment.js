@@ -0,0 +1,375 @@
+import * as THREE from "three";
+import { TransformControls } from "three/examples/jsm/controls/TransformControls.js";
+import { getSceneUrl } from "../scene_manifest.js";
+import { COLLISION_GROUPS, interactionGroups } from "./physics.js";
+
+/**
+ * Splat alignment - lines up the splats with the collision mesh for a new
+ * capture and saves where they ended up in the scene manifest
+ *
+ * While on, the collision mesh is drawn over the splats (opacity and
+ * wireframe adjustable) and the splats carry a translate / rotate / scale
+ * gizmo (three's TransformControls), used while the mouse pointer is free.
+ *
+ * `fit()` refines a rough manual placement: point-to-mesh ICP between a
+ * sample of splat centres and the closest points on the environment
+ * colliders (Rapier point projection, so physics must be running). Each
+ * iteration solves the rigid (optionally scaled) transform between the pairs
+ * with Horn's quaternion method.
+ *
+ * `downloadManifest()` saves the scene manifest with the result as
+ * `environment.splats.transform`. Splat cut-outs are made at load, so reload
+ * the scene with the saved manifest to see them at the new place.
+ */
+
+export const GIZMO_MODES = ["translate", "rotate", "scale"];
+
+const MIN_PAIRS = 16; // splat / mesh pairs needed for a fit
+const JACOBI_SWEEPS = 50;
+
+/**
+ * Eigenvector of the largest eigenvalue of a symmetric 4×4 matrix
+ * (Jacobi eigenvalue method; `a` is overwritten)
+ */
+function largestEigenvector(a) {
+	const v = [
+		[1, 0, 0, 0],
+		[0, 1, 0, 0],
+		[0, 0, 1, 0],
+		[0, 0, 0, 1],
+	];
+	for (let sweep = 0; sweep < JACOBI_SWEEPS; sweep++) {
+		let offDiagonal = 0;
+		for (let p = 0; p < 3; p++) {
+			for (let q = p + 1; q < 4; q++) offDiagonal += a[p][q] * a[p][q];
+		}
+		if (offDiagonal < 1e-20) break;
+
+		for (let p = 0; p < 3; p++) {
+			for (let q = p + 1; q < 4; q++) {
+				if (Math.abs(a[p][q]) < 1e-30) continue;
+				// Rotation in the p-q plane that zeroes a[p][q]
+				const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+				const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+				const c = 1 / Math.sqrt(t * t + 1);
+				const s = t * c;
+				for (let k = 0; k < 4; k++) {
+					const akp = a[k][p];
+					const akq = a[k][q];
+					a[k][p] = c * akp - s * akq;
+					a[k][q] = s * akp + c * akq;
+				}
+				for (let k = 0; k < 4; k++) {
+					const apk = a[p][k];
+					const aqk = a[q][k];
+					a[p][k] = c * apk - s * aqk;
+					a[q][k] = s * apk + c * aqk;
+				}
+				for (let k = 0; k < 4; k++) {
+					const vkp = v[k][p];
+					const vkq = v[k][q];
+					v[k][p] = c * vkp - s * vkq;
+					v[k][q] = s * vkp + c * vkq;
+				}
+			}
+		}
+	}
+
+	let largest = 0;
+	for (let i = 1; i < 4; i++) {
+		if (a[i][i] > a[largest][largest]) largest = i;
+	}
+	return v.map((row) => row[largest]);
+}
+
+/**
+ * The transform x ↦ scale · rotation · x + translation that best maps
+ * `source` onto `target` (paired Vector3 lists), least squares (Horn 1987)
+ */
+function solveSimilarity(source, target, estimateScale) {
+	const n = source.length;
+	const sourceCentroid = new THREE.Vector3();
+	const targetCentroid = new THREE.Vector3();
+	for (let i = 0; i < n; i++) {
+		sourceCentroid.add(source[i]);
+		targetCentroid.add(target[i]);
+	}
+	sourceCentroid.divideScalar(n);
+	targetCentroid.divideScalar(n);
+
+	// Cross-covariance: m[a][b] = Σ p_a q_b over the centred pairs
+	const m = [
+		[0, 0, 0],
+		[0, 0, 0],
+		[0, 0, 0],
+	];
+	const p = new THREE.Vector3();
+	const q = new THREE.Vector3();
+	let sourceSpread = 0;
+	for (let i = 0; i < n; i++) {
+		p.subVectors(source[i], sourceCentroid);
+		q.subVectors(target[i], targetCentroid);
+		const pa = p.toArray();
+		const qa = q.toArray();
+		for (let a = 0; a < 3; a++) {
+			for (let b = 0; b < 3; b++) m[a][b] += pa[a] * qa[b];
+		}
+		sourceSpread += p.lengthSq();
+	}
+
+	const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = m;
+	const [w, x, y, z] = largestEigenvector([
+		[xx + yy + zz, yz - zy, zx - xz, xy - yx],
+		[yz - zy, xx - yy - zz, xy + yx, zx + xz],
+		[zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+		[xy - yx, zx + xz, yz + zy, -xx - yy + zz],
+	]);
+	const rotation = new THREE.Quaternion(x, y, z, w).normalize();
+
+	let scale = 1;
+	if (estimateScale && sourceSpread > 0) {
+		let dot = 0;
+		for (let i = 0; i < n; i++) {
+			p.subVectors(source[i], sourceCentroid).applyQuaternion(rotation);
+			q.subVectors(target[i], targetCentroid);
+			dot += p.dot(q);
+		}
+		scale = dot / sourceSpread;
+	}
+
+	const translation = sourceCentroid.applyQuaternion(rotation).multiplyScalar(-scale).add(targetCentroid);
+	return { scale, rotation, translation };
+}
+
+/**
+ * Up to `count` splat centres (splat space), evenly spread over the file
+ */
+function sampleSplatCenters(splatMesh, count, minOpacity) {
+	const stride = Math.max(1, Math.floor(splatMesh.packedSplats.numSplats / count));
+	const centers = [];
+	splatMesh.packedSplats.forEachSplat((index, center, scales, quaternion, opacity) => {
+		if (index % stride === 0 && opacity >= minOpacity) centers.push(center.clone());
+	});
+	return centers;
+}
+
+function round(value, digits) {
+	const factor = 10 ** digits;
+	return Math.round(value * factor) / factor || 0;
+}
+
+export function createSplatAlignment({
+	manifest,
+	scene,
+	camera,
+	domElement,
+	input,
+	environment,
+	config,
+	getWorld,
+	onTransformChange,
+}) {
+	const settings = config.ALIGNMENT;
+	const initial = manifest.environment.splats.transform;
+	let enabled = false;
+	let gizmo = null;
+	let meshOpacity = settings.MESH_OPACITY;
+	let wireframe = false;
+	const savedMaterials = new Map(); // Material → the properties changed while aligning
+
+	// The gizmo only takes the mouse while the pointer is free
+	input.controls.addEventListener("lock", () => {
+		if (gizmo) gizmo.enabled = false;
+	});
+	input.controls.addEventListener("unlock", () => {
+		if (gizmo) gizmo.enabled = true;
+	});
+
+	function forEachMaterial(callback) {
+		environment.collisionMesh?.traverse((child) => {
+			if (!child.isMesh) return;
+			for (const material of [child.material].flat()) callback(material);
+		});
+	}
+
+	function applyMeshStyle() {
+		forEachMaterial((material) => {
+			if (!savedMaterials.has(material)) {
+				const { transparent, opacity, depthWrite, wireframe } = material;
+				savedMaterials.set(material, { transparent, opacity, depthWrite, wireframe });
+			}
+			material.transparent = meshOpacity < 1;
+			material.opacity = meshOpacity;
+			material.depthWrite = meshOpacity === 1;
+			material.wireframe = wireframe;
+			material.needsUpdate = true;
+		});
+	}
+
+	function restoreMeshStyle() {
+		for (const [material, saved] of savedMaterials) {
+			Object.assign(material, saved);
+			material.needsUpdate = true;
+		}
+		savedMaterials.clear();
+	}
+
+	/**
+	 * Starts or stops aligning; returns false when the splats are not loaded yet
+	 */
+	function toggle() {
+		const { splatMesh } = environment;
+		if (!enabled && !environment.splatsLoaded) return false;
+		enabled = !enabled;
+
+		if (enabled) {
+			if (!gizmo) {
+				gizmo = new TransformControls(camera, domElement);
+				gizmo.setSpace("local");
+				gizmo.addEventListener("objectChange", () => onTransformChange?.());
+			}
+			gizmo.enabled = !input.controls.isLocked;
+			gizmo.attach(splatMesh);
+			scene.add(gizmo.getHelper());
+
+			// Both at once, whatever the debug view shows
+			scene.add(splatMesh);
+			if (environment.collisionMesh) environment.collisionMesh.visible = true;
+			applyMeshStyle();
+		} else {
+			gizmo.detach();
+			scene.remove(gizmo.getHelper());
+			restoreMeshStyle();
+			environment.showCollisionMesh(environment.showingCollisionMesh);
+		}
+		return true;
+	}
+
+	function setGizmoMode(mode) {
+		gizmo?.setMode(mode);
+	}
+
+	function setMeshOpacity(opacity) {
+		meshOpacity = opacity;
+		if (enabled) applyMeshStyle();
+	}
+
+	function setSplatOpacity(opacity) {
+		if (environment.splatMesh) environment.splatMesh.opacity = opacity;
+	}
+
+	function setWireframe(value) {
+		wireframe = value;
+		if (enabled) applyMeshStyle();
+	}
+
+	/**
+	 * Moves the splats onto the collision mesh by ICP, starting from where
+	 * they are now. Returns { iterations, pairs, error } (RMS distance
+	 * in metres before the last step) or throws when there is nothing to fit.
+	 */
+	function fit({ estimateScale = settings.ESTIMATE_SCALE } = {}) {
+		const world = getWorld();
+		const { splatMesh } = environment;
+		if (!world || !environment.colliders) throw new Error("the environment colliders are not built");
+
+		const centers = sampleSplatCenters(splatMesh, settings.SAMPLES, settings.MIN_SPLAT_OPACITY);
+		const groups = interactionGroups(COLLISION_GROUPS.ALL, COLLISION_GROUPS.ENVIRONMENT);
+		const point = new THREE.Vector3();
+		let result = null;
+
+		for (let iteration = 1; iteration <= settings.ITERATIONS; iteration++) {
+			splatMesh.updateMatrixWorld();
+			const source = [];
+			const target = [];
+			let squaredSum = 0;
+			for (const center of centers) {
+				point.copy(center).applyMatrix4(splatMesh.matrixWorld);
+				const projection = world.projectPoint(point, false, undefined, groups);
+				if (!projection) continue;
+				const closest = new THREE.Vector3(projection.point.x, projection.point.y, projection.point.z);
+				const distanceSq = closest.distanceToSquared(point);
+				if (distanceSq > settings.MAX_DISTANCE ** 2) continue;
+				source.push(point.clone());
+				target.push(closest);
+				squaredSum += distanceSq;
+			}
+			if (source.length < MIN_PAIRS) {
+				throw new Error(`only ${source.length} splats are within ${settings.MAX_DISTANCE} m of the mesh`);
+			}
+			result = { iterations: iteration, pairs: source.length, error: Math.sqrt(squaredSum / source.length) };
+
+			// x ↦ s·R·x + t on top of the current transform
+			const { scale, rotation, translation } = solveSimilarity(source, target, estimateScale);
+			splatMesh.position.applyQuaternion(rotation).multiplyScalar(scale).add(translation);
+			splatMesh.quaternion.premultiply(rotation);
+			splatMesh.scale.multiplyScalar(scale);
+
+			const angle = 2 * Math.acos(Math.min(1, Math.abs(rotation.w)));
+			if (translation.length() + angle + Math.abs(scale - 1) < settings.TOLERANCE) break;
+		}
+		return result;
+	}
+
+	// Back to the transform in the manifest
+	function reset() {
+		const { splatMesh } = environment;
+		if (!splatMesh) return;
+		splatMesh.position.set(...initial.position);
+		splatMesh.rotation.set(...initial.rotation);
+		splatMesh.scale.set(...initial.scale);
+	}
+
+	/**
+	 * The splat transform as written in a manifest (rotation in degrees)
+	 */
+	function getTransform() {
+		const { position, rotation, scale } = environment.splatMesh;
+		return {
+			position: position.toArray().map((value) => round(value, 4)),
+			rotation: [rotation.x, rotation.y, rotation.z].map((value) =>
+				round(THREE.MathUtils.radToDeg(value), 3),
+			),
+			scale: scale.toArray().map((value) => round(value, 4)),
+		};
+	}
+
+	/**
+	 * Saves the scene manifest with the current transform as a file
+	 */
+	async function downloadManifest() {
+		const url = getSceneUrl();
+		const response = await fetch(url);
+		if (!response.ok) throw new Error(`could not fetch ${url} (HTTP ${response.status})`);
+		const data = await response.json();
+
+		const transform = getTransform();
+		delete data.environment.splats.scale;
+		data.environment.splats.transform = transform;
+		console.log("Splat transform:", JSON.stringify(transform));
+
+		const link = document.createElement("a");
+		link.href = URL.createObjectURL(new Blob([`${JSON.stringify(data, null, "\t")}\n`]));
+		link.download = url.split("/").pop();
+		link.click();
+		setTimeout(() => URL.revokeObjectURL(link.href));
+	}
+
+	return {
+		toggle,
+		setGizmoMode,
+		setMeshOpacity,
+		setSplatOpacity,
+		setWireframe,
+		fit,
+		reset,
+		getTransform,
+		downloadManifest,
+		get enabled() {
+			return enabled;
+		},
+		get meshOpacity() {
+			return meshOpacity;
+		},
+	};
+}
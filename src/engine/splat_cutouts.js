@@ -0,0 +1,225 @@
+import { PackedSplats, SplatMesh } from "@sparkjsdev/spark";
+import * as THREE from "three";
+import { ConvexHull } from "three/examples/jsm/math/ConvexHull.js";
+
+/**
+ * Splat cut-outs - removes the baked splats of objects that have become
+ * props from the environment SplatMesh, optionally moving them along with
+ * the prop
+ *
+ * A region (`environment.splats.cutouts` in the manifest, world coordinates)
+ * is one of:
+ *   { box: { center, size, rotation } }  rotation in radians once validated
+ *   { points: [[x, y, z], …] }           the convex hull of the points
+ *   { prop: "id" }                       the prop's colliders (a mask shaped
+ *                                        like the prop's mesh)
+ * plus `padding` (metres the region is grown by, so splats hanging over the
+ * edge go too) and `attach`: the id of a prop the cut splats then follow.
+ * Without `attach` the splats are removed, e.g. because a prop model now
+ * stands in for them. A prop's own meshes are hidden while its splats follow it.
+ *
+ * Regions are cut once the splats have loaded and the props they name exist
+ * (`setSplats`, `addProp`). Props come from the manifest and from tagged nodes
+ * of the collision mesh, so a region naming a missing prop is only reported
+ * once both have loaded (`propsLoaded`). Attached splats keep their colour and shape but
+ * not their view-dependent colour (spherical harmonics).
+ */
+
+export const CUTOUT_PADDING = 0.02; // metres, when a region gives none
+
+/**
+ * World-space volume of a region: `bounds` for a quick test, then `contains`
+ */
+function createVolume(region, prop) {
+	const padding = region.padding ?? CUTOUT_PADDING;
+
+	if (region.box) {
+		const { center, size, rotation = [0, 0, 0] } = region.box;
+		const toBox = new THREE.Matrix4()
+			.compose(
+				new THREE.Vector3(...center),
+				new THREE.Quaternion().setFromEuler(new THREE.Euler(...rotation)),
+				new THREE.Vector3(1, 1, 1),
+			)
+			.invert();
+		const half = new THREE.Vector3(...size).multiplyScalar(0.5).addScalar(padding);
+		const local = new THREE.Vector3();
+		const radius = half.length();
+		return {
+			bounds: new THREE.Box3().setFromCenterAndSize(
+				new THREE.Vector3(...center),
+				new THREE.Vector3(2 * radius, 2 * radius, 2 * radius),
+			),
+			contains(point) {
+				local.copy(point).applyMatrix4(toBox);
+				return Math.abs(local.x) <= half.x && Math.abs(local.y) <= half.y && Math.abs(local.z) <= half.z;
+			},
+		};
+	}
+
+	// Convex parts in world space: the listed points, or the prop's colliders
+	let parts;
+	if (region.points) {
+		parts = [region.points.map((point) => new THREE.Vector3(...point))];
+	} else {
+		// Collider shapes are in the prop's frame with its scale already applied
+		const toWorld = new THREE.Matrix4().compose(
+			prop.spawnPosition,
+			prop.spawnQuaternion,
+			new THREE.Vector3(1, 1, 1),
+		);
+		parts = prop.shapes.map((shape) => {
+			if (shape.type === "box") {
+				const box = new THREE.Box3().setFromCenterAndSize(
+					shape.center,
+					new THREE.Vector3(...shape.halfExtents).multiplyScalar(2),
+				);
+				return corners(box).map((corner) => corner.applyMatrix4(toWorld));
+			}
+			const points = [];
+			for (let i = 0; i < shape.vertices.length; i += 3) {
+				points.push(new THREE.Vector3().fromArray(shape.vertices, i).applyMatrix4(toWorld));
+			}
+			return points;
+		});
+	}
+
+	const hulls = parts.map((points) => new ConvexHull().setFromPoints(points));
+	const bounds = new THREE.Box3();
+	for (const points of parts) {
+		for (const point of points) bounds.expandByPoint(point);
+	}
+	bounds.expandByScalar(padding);
+	return {
+		bounds,
+		contains(point) {
+			return hulls.some((hull) => hull.faces.every((face) => face.distanceToPoint(point) <= padding));
+		},
+	};
+}
+
+function corners(box) {
+	const { min, max } = box;
+	const points = [];
+	for (const x of [min.x, max.x]) {
+		for (const y of [min.y, max.y]) {
+			for (const z of [min.z, max.z]) points.push(new THREE.Vector3(x, y, z));
+		}
+	}
+	return points;
+}
+
+export function createSplatCutouts({ regions = [], scene }) {
+	let splatMesh = null;
+	const props = new Map(); // Prop id → prop
+	const pending = [...regions];
+	const attached = []; // { prop, splats, offset }
+
+	function isReady(region) {
+		return (!region.prop || props.has(region.prop)) && (!region.attach || props.has(region.attach));
+	}
+
+	// Same splats, drawn relative to the prop: offset = spawn⁻¹ · splat transform
+	function attach(prop, packedSplats) {
+		const splats = new SplatMesh({ packedSplats });
+		splats.matrixAutoUpdate = false;
+		const spawn = new THREE.Matrix4().compose(
+			prop.spawnPosition,
+			prop.spawnQuaternion,
+			prop.object.scale,
+		);
+		const offset = spawn.invert().multiply(splatMesh.matrixWorld);
+		scene.add(splats);
+
+		prop.object.traverse((child) => {
+			if (child.isMesh) child.visible = false;
+		});
+		attached.push({ prop, splats, offset });
+	}
+
+	function cut(ready) {
+		splatMesh.updateMatrixWorld(true);
+		const volumes = ready.map((region) => createVolume(region, props.get(region.prop)));
+		const pieces = ready.map((region) =>
+			region.attach ? new PackedSplats({ splatEncoding: splatMesh.packedSplats.splatEncoding }) : null,
+		);
+
+		const source = splatMesh.packedSplats;
+		const point = new THREE.Vector3();
+		let removed = 0;
+		source.forEachSplat((index, center, scales, quaternion, opacity, color) => {
+			if (opacity === 0) return;
+			point.copy(center).applyMatrix4(splatMesh.matrixWorld);
+			const i = volumes.findIndex((volume) => volume.bounds.containsPoint(point) && volume.contains(point));
+			if (i === -1) return;
+
+			pieces[i]?.pushSplat(center, scales, quaternion, opacity, color);
+			source.setSplat(index, center, scales, quaternion, 0, color);
+			removed++;
+		});
+		source.needsUpdate = true;
+		splatMesh.needsUpdate = true;
+
+		ready.forEach((region, i) => {
+			if (pieces[i]?.numSplats > 0) attach(props.get(region.attach), pieces[i]);
+		});
+		console.log(`✓ ${removed} splats cut out (${ready.length} regions)`);
+	}
+
+	function flush() {
+		if (!splatMesh) return;
+		const ready = pending.filter(isReady);
+		if (ready.length === 0) return;
+		for (const region of ready) pending.splice(pending.indexOf(region), 1);
+		cut(ready);
+	}
+
+	/**
+	 * The environment splats, once loaded
+	 */
+	function setSplats(mesh) {
+		splatMesh = mesh;
+		flush();
+	}
+
+	/**
+	 * A new prop; its `cutout` ("remove" or "attach") adds a region shaped like it
+	 */
+	function addProp(prop) {
+		props.set(prop.id, prop);
+		if (prop.cutout) {
+			pending.push({ prop: prop.id, attach: prop.cutout === "attach" ? prop.id : undefined });
+		}
+		flush();
+	}
+
+	/**
+	 * Every prop has been added: regions still waiting for one never get cut
+	 */
+	function propsLoaded() {
+		for (const region of pending) {
+			for (const id of new Set([region.prop, region.attach])) {
+				if (id && !props.has(id)) console.warn(`Splat cut-out names unknown prop "${id}"`);
+			}
+		}
+	}
+
+	// Move attached splats with their props, after the props are interpolated
+	function update() {
+		for (const { prop, splats, offset } of attached) {
+			prop.object.updateMatrixWorld();
+			splats.matrix.multiplyMatrices(prop.object.matrixWorld, offset);
+			splats.matrixWorldNeedsUpdate = true;
+		}
+	}
+
+	return {
+		setSplats,
+		addProp,
+		propsLoaded,
+		update,
+		get pendingCount() {
+			return pending.length;
+		},
+	};
+}
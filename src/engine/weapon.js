@@ -0,0 +1,120 @@
+import * as THREE from "three";
+
+/**
+ * Weapon - turns mouse input into projectile shots
+ *
+ * Fire modes:
+ *   "single": one shot per click
+ *   "burst":  FIRE.BURST_COUNT shots per click, FIRE.BURST_INTERVAL apart
+ *   "charge": hold the button and release to throw; the longer the hold
+ *             (up to FIRE.CHARGE_TIME) the faster the throw
+ *
+ * The active projectile type and fire mode are cycled with `cycleType` and
+ * `cycleFireMode`. Timers run on real frame time, so slow motion does not
+ * slow down the trigger.
+ */
+
+export const FIRE_MODES = ["single", "burst", "charge"];
+
+export function createWeapon({ config, camera, input, projectiles }) {
+	const fire = config.FIRE;
+
+	let typeId = projectiles.types.has(config.PROJECTILE_TYPE)
+		? config.PROJECTILE_TYPE
+		: projectiles.types.keys().next().value;
+	let fireMode = FIRE_MODES.includes(fire.MODE) ? fire.MODE : "single";
+
+	let burstRemaining = 0;
+	let burstTimer = 0;
+	let chargeTime = null; // Seconds held, null when not charging
+
+	function shoot(speedScale = 1) {
+		const type = projectiles.types.get(typeId);
+		if (!type) return;
+
+		const direction = new THREE.Vector3();
+		camera.getWorldDirection(direction);
+		const speed = (type.speed ?? config.PROJECTILE_SPEED) * speedScale;
+		projectiles.shoot(camera.position, direction, typeId, speed);
+	}
+
+	// Charge from 0 to 1
+	function getCharge() {
+		if (chargeTime === null) return 0;
+		return Math.min(chargeTime / fire.CHARGE_TIME, 1);
+	}
+
+	input.onMouseDown(() => {
+		switch (fireMode) {
+			case "single":
+				shoot();
+				break;
+			case "burst":
+				if (burstRemaining > 0) break;
+				shoot();
+				burstRemaining = fire.BURST_COUNT - 1;
+				burstTimer = fire.BURST_INTERVAL;
+				break;
+			case "charge":
+				chargeTime = 0;
+				break;
+		}
+	});
+
+	input.onMouseUp(() => {
+		if (chargeTime === null) return;
+		const charge = getCharge();
+		chargeTime = null;
+
+		// Releasing after the pointer was unlocked cancels the throw
+		if (!input.controls.isLocked) return;
+		shoot(THREE.MathUtils.lerp(fire.CHARGE_MIN_SPEED, fire.CHARGE_MAX_SPEED, charge));
+	});
+
+	// Call once per rendered frame
+	function update(deltaTime) {
+		if (chargeTime !== null) chargeTime += deltaTime;
+
+		if (burstRemaining > 0) {
+			burstTimer -= deltaTime;
+			while (burstRemaining > 0 && burstTimer <= 0) {
+				shoot();
+				burstRemaining--;
+				burstTimer += fire.BURST_INTERVAL;
+			}
+		}
+	}
+
+	// Next projectile type, skipping types that are not ready yet
+	function cycleType() {
+		const ids = [...projectiles.types.keys()].filter(
+			(id) => projectiles.types.get(id).ready,
+		);
+		if (ids.length === 0) return;
+		typeId = ids[(ids.indexOf(typeId) + 1) % ids.length];
+	}
+
+	function cycleFireMode() {
+		fireMode = FIRE_MODES[(FIRE_MODES.indexOf(fireMode) + 1) % FIRE_MODES.length];
+		burstRemaining = 0;
+		chargeTime = null;
+	}
+
+	return {
+		update,
+		cycleType,
+		cycleFireMode,
+		get type() {
+			return projectiles.types.get(typeId) ?? null;
+		},
+		get fireMode() {
+			return fireMode;
+		},
+		get charge() {
+			return getCharge();
+		},
+		get charging() {
+			return chargeTime !== null;
+		},
+	};
+}
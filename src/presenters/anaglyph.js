@@ -0,0 +1,88 @@
+import * as THREE from "three";
+import { FullScreenQuad } from "three/examples/jsm/postprocessing/Pass.js";
+import { createStereoRig } from "./stereo_rig.js";
+
+// Dubois least-squares matrices for red/cyan glasses
+// https://www.site.uottawa.ca/~edubois/anaglyph/
+const COLOR_MATRIX_LEFT = new THREE.Matrix3().fromArray([
+	0.4561, -0.0400822, -0.0152161,
+	0.500484, -0.0378246, -0.0205971,
+	0.176381, -0.0157589, -0.00546856,
+]);
+
+const COLOR_MATRIX_RIGHT = new THREE.Matrix3().fromArray([
+	-0.0434706, 0.378476, -0.0721527,
+	-0.0879388, 0.73364, -0.112961,
+	-0.00155529, -0.0184503, 1.2264,
+]);
+
+/**
+ * Anaglyph presenter - renders each eye to an offscreen target and merges
+ * them into one red/cyan image
+ */
+export function createAnaglyphPresenter({ stereoSettings }) {
+	const rig = createStereoRig(stereoSettings);
+	const targetLeft = new THREE.WebGLRenderTarget(1, 1);
+	const targetRight = new THREE.WebGLRenderTarget(1, 1);
+
+	const material = new THREE.ShaderMaterial({
+		uniforms: {
+			mapLeft: { value: targetLeft.texture },
+			mapRight: { value: targetRight.texture },
+			colorMatrixLeft: { value: COLOR_MATRIX_LEFT },
+			colorMatrixRight: { value: COLOR_MATRIX_RIGHT },
+		},
+		vertexShader: /* glsl */ `
+			varying vec2 vUv;
+			void main() {
+				vUv = uv;
+				gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+			}
+		`,
+		fragmentShader: /* glsl */ `
+			uniform sampler2D mapLeft;
+			uniform sampler2D mapRight;
+			uniform mat3 colorMatrixLeft;
+			uniform mat3 colorMatrixRight;
+			varying vec2 vUv;
+			void main() {
+				vec4 colorL = texture2D(mapLeft, vUv);
+				vec4 colorR = texture2D(mapRight, vUv);
+				vec3 color = clamp(colorMatrixLeft * colorL.rgb + colorMatrixRight * colorR.rgb, 0.0, 1.0);
+				gl_FragColor = vec4(color, max(colorL.a, colorR.a));
+				#include <colorspace_fragment>
+			}
+		`,
+	});
+	const quad = new FullScreenQuad(material);
+
+	return {
+		name: "anaglyph",
+		rig,
+
+		getListenerPose() {
+			return rig.getListenerPose();
+		},
+
+		resize({ renderer }, width, height) {
+			const pixelRatio = renderer.getPixelRatio();
+			targetLeft.setSize(width * pixelRatio, height * pixelRatio);
+			targetRight.setSize(width * pixelRatio, height * pixelRatio);
+		},
+
+		render({ renderer, scene, camera }) {
+			rig.update(camera, window.innerWidth / window.innerHeight);
+
+			renderer.setRenderTarget(targetLeft);
+			renderer.clear();
+			renderer.render(scene, rig.left);
+
+			renderer.setRenderTarget(targetRight);
+			renderer.clear();
+			renderer.render(scene, rig.right);
+
+			renderer.setRenderTarget(null);
+			quad.render(renderer);
+		},
+	};
+}
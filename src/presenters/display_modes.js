@@ -0,0 +1,142 @@
+import { showToast } from "../ui/hud.js";
+import { createAnaglyphPresenter } from "./anaglyph.js";
+import { createQuiltPresenter, getQuiltSettings } from "./quilt.js";
+import { createSingleViewPresenter } from "./single_view.js";
+import { createSplitScreenPresenter } from "./split_screen.js";
+import {
+	STEREO_DEFAULTS,
+	loadStereoSettings,
+	saveStereoSettings,
+} from "./stereo_rig.js";
+
+/**
+ * Display modes - the presenters a page can switch between at runtime
+ *
+ * The initial mode comes from the `?mode=` query parameter; the hotkey cycles
+ * through the modes in order and writes the choice back to the URL so a
+ * reload keeps it. Switching only swaps the presenter, so the physics world,
+ * characters and camera pose are untouched.
+ *
+ * All stereo modes share one set of stereo settings, saved between sessions.
+ */
+export const stereoSettings = loadStereoSettings();
+
+export const DISPLAY_MODES = {
+	single: { label: "Single view", create: () => createSingleViewPresenter() },
+	sbs: {
+		label: "Side-by-side stereo",
+		create: () =>
+			createSplitScreenPresenter({ layout: "side-by-side", stereoSettings }),
+	},
+	tb: {
+		label: "Top-bottom stereo",
+		create: () =>
+			createSplitScreenPresenter({ layout: "top-bottom", stereoSettings }),
+	},
+	anaglyph: {
+		label: "Red/cyan anaglyph",
+		create: () => createAnaglyphPresenter({ stereoSettings }),
+	},
+	quilt: {
+		label: "Multi-view quilt",
+		create: () =>
+			createQuiltPresenter({ stereoSettings, quiltSettings: getQuiltSettings() }),
+	},
+};
+
+const presenters = {};
+
+/**
+ * Returns the presenter for a mode, creating it on first use
+ */
+export function getPresenter(mode) {
+	if (!DISPLAY_MODES[mode]) throw new Error(`Unknown display mode "${mode}"`);
+	presenters[mode] ??= DISPLAY_MODES[mode].create();
+	return presenters[mode];
+}
+
+/**
+ * Reads the display mode from the `?mode=` query parameter
+ */
+export function getDisplayMode(fallback = "single", search = window.location.search) {
+	const mode = new URLSearchParams(search).get("mode");
+	if (mode && !DISPLAY_MODES[mode]) {
+		console.warn(
+			`Unknown display mode "${mode}", expected one of: ${Object.keys(DISPLAY_MODES).join(", ")}`,
+		);
+	}
+	return DISPLAY_MODES[mode] ? mode : fallback;
+}
+
+/**
+ * Switches the engine to another display mode and records it in the URL
+ */
+export function setDisplayMode(engine, mode) {
+	engine.setPresenter(getPresenter(mode));
+
+	const url = new URL(window.location.href);
+	url.searchParams.set("mode", mode);
+	window.history.replaceState(null, "", url);
+
+	showToast(`Display mode: ${DISPLAY_MODES[mode].label}`);
+}
+
+/**
+ * Cycles through the display modes with a hotkey
+ */
+export function bindDisplayModeHotkey(engine, code = "KeyV") {
+	const modes = Object.keys(DISPLAY_MODES);
+	engine.input.onKeyDown(code, () => {
+		const current = modes.indexOf(engine.presenter?.name);
+		setDisplayMode(engine, modes[(current + 1) % modes.length]);
+	});
+}
+
+// [decrease key, increase key, setting, step, multiplicative]
+const STEREO_HOTKEYS = [
+	["BracketLeft", "BracketRight", "ipd", 0.001, false],
+	["Semicolon", "Quote", "zeroParallax", 1.1, true],
+	["Comma", "Period", "viewingDistance", 0.01, false],
+	["Minus", "Equal", "screenWidth", 0.01, false],
+];
+
+function describeStereoSettings() {
+	const { ipd, zeroParallax, viewingDistance, screenWidth } = stereoSettings;
+	return [
+		`IPD ${(ipd * 1000).toFixed(0)} mm`,
+		`zero parallax ${zeroParallax.toFixed(2)} m`,
+		`viewing distance ${(viewingDistance * 100).toFixed(0)} cm`,
+		`screen ${(screenWidth * 100).toFixed(0)} cm`,
+	].join(" · ");
+}
+
+/**
+ * Live stereo adjustment: [ ] IPD, ; ' zero-parallax plane,
+ * , . viewing distance, - = screen width, \ reset to defaults
+ */
+export function bindStereoHotkeys(engine) {
+	function changed() {
+		saveStereoSettings(stereoSettings);
+		showToast(describeStereoSettings(), 2500);
+	}
+
+	for (const [decrease, increase, key, step, multiplicative] of STEREO_HOTKEYS) {
+		engine.input.onKeyDown(decrease, () => {
+			stereoSettings[key] = multiplicative
+				? stereoSettings[key] / step
+				: stereoSettings[key] - step;
+			changed();
+		});
+		engine.input.onKeyDown(increase, () => {
+			stereoSettings[key] = multiplicative
+				? stereoSettings[key] * step
+				: stereoSettings[key] + step;
+			changed();
+		});
+	}
+
+	engine.input.onKeyDown("Backslash", () => {
+		Object.assign(stereoSettings, STEREO_DEFAULTS);
+		changed();
+	});
+}
@@ -0,0 +1,148 @@
+import * as THREE from "three";
+import { FullScreenQuad } from "three/examples/jsm/postprocessing/Pass.js";
+import { getScreenRectangle, placeOffAxisCamera } from "./stereo_rig.js";
+
+/**
+ * Quilt presenter - N views for lenticular and light-field displays
+ *
+ * Every view is rendered into one tile of a `columns × rows` quilt texture.
+ * View 0 is the leftmost view and sits in the bottom-left tile; views go left
+ * to right, then bottom to top (the usual quilt layout expected by
+ * light-field display drivers). The finished quilt is drawn to the canvas,
+ * scaled to fit while keeping its aspect ratio.
+ *
+ * The views are spread across `coneAngle` degrees as seen from the zero-parallax
+ * plane, each with an off-axis frustum through the same screen rectangle as the
+ * stereo rig, so the splats and characters on that plane stay put across views.
+ * The views are close together, so Spark's radial splat sort from whichever
+ * view rendered last stays valid for the whole quilt.
+ */
+
+export const QUILT_DEFAULTS = {
+	views: 48,
+	columns: 8,
+	rows: 6,
+	coneAngle: 40, // degrees
+	tileWidth: 420,
+	tileHeight: 560,
+};
+
+const VIEW_LIMITS = [2, 96];
+
+/**
+ * Reads quilt settings from query parameters:
+ * `?views=48&cone=40&quilt=8x6&tile=420x560`
+ */
+export function getQuiltSettings(search = window.location.search) {
+	const params = new URLSearchParams(search);
+	const settings = { ...QUILT_DEFAULTS };
+
+	const parsePair = (value) => {
+		const match = /^(\d+)x(\d+)$/.exec(value ?? "");
+		return match ? [Number(match[1]), Number(match[2])] : null;
+	};
+
+	const views = Number(params.get("views"));
+	if (Number.isInteger(views) && views > 0) {
+		settings.views = THREE.MathUtils.clamp(views, ...VIEW_LIMITS);
+	}
+
+	const cone = Number(params.get("cone"));
+	if (cone > 0 && cone < 180) settings.coneAngle = cone;
+
+	const grid = parsePair(params.get("quilt"));
+	if (grid) [settings.columns, settings.rows] = grid;
+
+	const tile = parsePair(params.get("tile"));
+	if (tile) [settings.tileWidth, settings.tileHeight] = tile;
+
+	// Grow the grid when it cannot hold every view
+	if (settings.columns * settings.rows < settings.views) {
+		settings.columns = Math.ceil(Math.sqrt(settings.views));
+		settings.rows = Math.ceil(settings.views / settings.columns);
+		console.warn(
+			`Quilt grid too small for ${settings.views} views, using ${settings.columns}x${settings.rows}`,
+		);
+	}
+
+	return settings;
+}
+
+/**
+ * Creates the quilt presenter; `quiltSettings` is fixed for its lifetime
+ */
+export function createQuiltPresenter({ stereoSettings, quiltSettings }) {
+	const { views, columns, rows, coneAngle, tileWidth, tileHeight } = quiltSettings;
+	const viewCamera = new THREE.PerspectiveCamera();
+
+	const quiltTarget = new THREE.WebGLRenderTarget(
+		columns * tileWidth,
+		rows * tileHeight,
+		{ colorSpace: THREE.SRGBColorSpace },
+	);
+	const quad = new FullScreenQuad(
+		new THREE.MeshBasicMaterial({ map: quiltTarget.texture }),
+	);
+
+	const halfCone = THREE.MathUtils.degToRad(coneAngle) / 2;
+
+	function renderQuilt(renderer, scene, camera) {
+		const screen = getScreenRectangle(stereoSettings, tileWidth / tileHeight);
+
+		quiltTarget.scissorTest = false;
+		renderer.setRenderTarget(quiltTarget);
+		renderer.clear();
+		quiltTarget.scissorTest = true;
+
+		for (let view = 0; view < views; view++) {
+			const angle = -halfCone + (2 * halfCone * view) / (views - 1);
+			placeOffAxisCamera(
+				viewCamera,
+				camera,
+				screen.distance * Math.tan(angle),
+				screen,
+			);
+
+			// The renderer picks up a target's viewport/scissor in setRenderTarget
+			const x = (view % columns) * tileWidth;
+			const y = Math.floor(view / columns) * tileHeight;
+			quiltTarget.viewport.set(x, y, tileWidth, tileHeight);
+			quiltTarget.scissor.set(x, y, tileWidth, tileHeight);
+			renderer.setRenderTarget(quiltTarget);
+
+			renderer.render(scene, viewCamera);
+		}
+
+		renderer.setRenderTarget(null);
+	}
+
+	// Canvas area the quilt is drawn into, [x, y, width, height]
+	let viewport = [0, 0, 1, 1];
+
+	return {
+		name: "quilt",
+		settings: quiltSettings,
+
+		resize(engine, width, height) {
+			// Letterbox the quilt inside the canvas
+			const quiltAspect = (columns * tileWidth) / (rows * tileHeight);
+			const fitWidth = Math.min(width, height * quiltAspect);
+			const fitHeight = fitWidth / quiltAspect;
+			viewport = [
+				(width - fitWidth) / 2,
+				(height - fitHeight) / 2,
+				fitWidth,
+				fitHeight,
+			];
+		},
+
+		render({ renderer, scene, camera }) {
+			renderQuilt(renderer, scene, camera);
+
+			renderer.clear();
+			renderer.setViewport(...viewport);
+			quad.render(renderer);
+			renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
+		},
+	};
+}
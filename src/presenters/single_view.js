@@ -0,0 +1,14 @@
+/**
+ * Single view presenter - renders the player camera to the full canvas
+ */
+export function createSingleViewPresenter() {
+	return {
+		name: "single",
+
+		resize() {},
+
+		render({ renderer, scene, camera }) {
+			renderer.render(scene, camera);
+		},
+	};
+}
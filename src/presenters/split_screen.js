@@ -0,0 +1,69 @@
+import { createStereoRig } from "./stereo_rig.js";
+
+/**
+ * Split-screen presenter - stereo pair packed into one frame for
+ * glasses-free and 3D-TV displays
+ *
+ * layout "side-by-side": left eye on the left half, right eye on the right half.
+ * layout "top-bottom": left eye on the top half, right eye on the bottom half.
+ *
+ * Each half holds the full-screen image squeezed to half size (half-SBS / half-TB);
+ * the display stretches it back, so the rig projects for the whole screen.
+ */
+export function createSplitScreenPresenter({ layout = "side-by-side", stereoSettings }) {
+	const rig = createStereoRig(stereoSettings);
+	const sideBySide = layout === "side-by-side";
+
+	// Viewports in CSS pixels, [x, y, width, height] with y measured from the bottom
+	function getViewports(width, height) {
+		if (sideBySide) {
+			return [
+				[0, 0, width / 2, height],
+				[width / 2, 0, width / 2, height],
+			];
+		}
+		return [
+			[0, height / 2, width, height / 2],
+			[0, 0, width, height / 2],
+		];
+	}
+
+	return {
+		name: sideBySide ? "sbs" : "tb",
+		rig,
+
+		getListenerPose() {
+			return rig.getListenerPose();
+		},
+
+		resize() {},
+
+		render({ renderer, scene, camera }) {
+			rig.update(camera, window.innerWidth / window.innerHeight);
+
+			// Render split‑screen
+			const [leftViewport, rightViewport] = getViewports(
+				window.innerWidth,
+				window.innerHeight,
+			);
+			renderer.setScissorTest(true);
+
+			renderer.setViewport(...leftViewport);
+			renderer.setScissor(...leftViewport);
+			renderer.render(scene, rig.left);
+
+			renderer.setViewport(...rightViewport);
+			renderer.setScissor(...rightViewport);
+			renderer.render(scene, rig.right);
+
+			renderer.setScissorTest(false);
+		},
+
+		detach({ renderer }) {
+			const w = window.innerWidth;
+			const h = window.innerHeight;
+			renderer.setViewport(0, 0, w, h);
+			renderer.setScissor(0, 0, w, h);
+		},
+	};
+}
@@ -0,0 +1,148 @@
+import * as THREE from "three";
+
+/**
+ * Stereo rig - physically based off-axis stereo projection
+ *
+ * The rig models the real viewing setup: a viewer with interpupillary distance
+ * `ipd` sits `viewingDistance` metres in front of a display `screenWidth` metres
+ * wide. The display is mapped onto the zero-parallax plane, `zeroParallax` world
+ * units in front of the player camera, so one physical metre corresponds to
+ * `zeroParallax / viewingDistance` world units (the same ratio the old fixed
+ * camera offset was derived from).
+ *
+ * Both eyes look straight ahead (parallel axes) and use asymmetric frusta that
+ * share the same screen rectangle, so there is no vertical parallax and objects
+ * on the zero-parallax plane appear exactly on the display surface.
+ */
+
+export const STEREO_DEFAULTS = {
+	ipd: 0.063, // metres
+	screenWidth: 0.34, // metres, visible width of the display
+	viewingDistance: 0.4, // metres from the viewer's eyes to the display
+	zeroParallax: 2.5, // world units from the camera to the convergence plane
+};
+
+const STORAGE_KEY = "spark-physics.stereo";
+
+const LIMITS = {
+	ipd: [0.03, 0.08],
+	screenWidth: [0.05, 3],
+	viewingDistance: [0.1, 5],
+	zeroParallax: [0.2, 50],
+};
+
+function clampSettings(settings) {
+	for (const [key, [min, max]] of Object.entries(LIMITS)) {
+		settings[key] = THREE.MathUtils.clamp(settings[key], min, max);
+	}
+	return settings;
+}
+
+/**
+ * Loads the stereo settings saved from a previous session
+ */
+export function loadStereoSettings() {
+	const settings = { ...STEREO_DEFAULTS };
+	try {
+		const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "{}");
+		for (const key of Object.keys(STEREO_DEFAULTS)) {
+			if (Number.isFinite(saved[key])) settings[key] = saved[key];
+		}
+	} catch (error) {
+		console.warn("Ignoring invalid saved stereo settings:", error);
+	}
+	return clampSettings(settings);
+}
+
+/**
+ * Persists the stereo settings for the next session
+ */
+export function saveStereoSettings(settings) {
+	clampSettings(settings);
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+	} catch (error) {
+		console.warn("Could not save stereo settings:", error);
+	}
+}
+
+/**
+ * The display rectangle on the zero-parallax plane, in world units
+ * `displayAspect` is the width / height of the physical display area
+ */
+export function getScreenRectangle(settings, displayAspect) {
+	const worldPerMetre = settings.zeroParallax / settings.viewingDistance;
+	return {
+		distance: settings.zeroParallax,
+		worldPerMetre,
+		halfWidth: (settings.screenWidth / 2) * worldPerMetre,
+		halfHeight: (settings.screenWidth / displayAspect / 2) * worldPerMetre,
+	};
+}
+
+const _offset = new THREE.Vector3();
+
+/**
+ * Places `eye` at the player camera shifted by `eyeOffset` world units along
+ * its local x axis, with an asymmetric frustum through the screen rectangle
+ */
+export function placeOffAxisCamera(eye, camera, eyeOffset, screen) {
+	_offset.set(eyeOffset, 0, 0).applyQuaternion(camera.quaternion);
+	eye.position.copy(camera.position).add(_offset);
+	eye.quaternion.copy(camera.quaternion);
+	eye.near = camera.near;
+	eye.far = camera.far;
+	eye.updateMatrixWorld();
+
+	const scale = camera.near / screen.distance;
+	eye.projectionMatrix.makePerspective(
+		(-screen.halfWidth - eyeOffset) * scale,
+		(screen.halfWidth - eyeOffset) * scale,
+		screen.halfHeight * scale,
+		-screen.halfHeight * scale,
+		camera.near,
+		camera.far,
+	);
+	eye.projectionMatrixInverse.copy(eye.projectionMatrix).invert();
+}
+
+/**
+ * Creates a pair of eye cameras that follow the player camera.
+ * `settings` is read every frame, so live edits apply immediately.
+ */
+export function createStereoRig(settings) {
+	const left = new THREE.PerspectiveCamera();
+	const right = new THREE.PerspectiveCamera();
+	let placed = false;
+
+	return {
+		left,
+		right,
+		settings,
+
+		/**
+		 * Places both eyes around the player camera
+		 * `displayAspect` is the width / height of the physical display area
+		 */
+		update(camera, displayAspect) {
+			const screen = getScreenRectangle(settings, displayAspect);
+			const halfSeparation = (settings.ipd / 2) * screen.worldPerMetre;
+
+			placeOffAxisCamera(left, camera, -halfSeparation, screen);
+			placeOffAxisCamera(right, camera, halfSeparation, screen);
+			placed = true;
+		},
+
+		/**
+		 * Ears sit midway between the eyes, facing where the eyes face
+		 * Null until the eyes have been placed
+		 */
+		getListenerPose() {
+			if (!placed) return null;
+			return {
+				position: new THREE.Vector3().lerpVectors(left.position, right.position, 0.5),
+				quaternion: left.quaternion,
+			};
+		},
+	};
+}
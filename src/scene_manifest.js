@@ -0,0 +1,551 @@
+/**
+ * Scene Manifest - data-driven description of a splat scene
+ *
+ * A manifest is a JSON file that lists everything a scene needs:
+ * - The environment: Gaussian splat file plus the collision mesh used by Rapier,
+ *   with how its colliders are built (see src/engine/collider_builder.js)
+ * - An arbitrary list of characters with model URL, transform, brightness,
+ *   voice lines, animation clips per state and bone collider settings
+ * - Loose props with model URL, transform, material and collider mode
+ *
+ * The manifest is chosen with the `?scene=` query parameter and defaults to
+ * `scenes/tavern.json`. Every field is validated at startup so a broken
+ * manifest fails with a readable list of problems instead of a half-loaded scene.
+ *
+ * Angles in the JSON are given in degrees; the normalized manifest returned
+ * by `validateSceneManifest` uses radians.
+ */
+
+export const DEFAULT_SCENE_URL = "scenes/tavern.json";
+
+const MODEL_EXTENSIONS = [".glb", ".gltf", ".fbx"];
+const PROP_MODEL_EXTENSIONS = [".glb", ".gltf"];
+
+const COLLIDER_MODES = ["trimesh", "simplified", "convexHull", "decomposition", "none"];
+const COLLIDER_OPTIONS = ["mode", "cellSize", "concavity", "maxParts"];
+
+// Dynamic bodies need convex colliders
+const PROP_COLLIDER_MODES = ["convexHull", "decomposition"];
+
+// Splat cut-out of a prop: just removed, or moving with it
+const PROP_CUTOUTS = ["remove", "attach"];
+
+const PROP_DEFAULTS = {
+	rotation: [0, 0, 0],
+	scale: [1, 1, 1],
+};
+
+const ANIMATION_STATES = ["idle", "talk", "flinch", "angry", "cheer"];
+const FLINCH_DIRECTIONS = ["front", "back", "left", "right"];
+
+const CHARACTER_DEFAULTS = {
+	rotation: [0, 0, 0],
+	scale: [1, 1, 1],
+	brightness: 1.0,
+	voices: [],
+	colliderRadius: 0.05, // Only for bones without skinned vertices
+};
+
+/**
+ * Raised when a manifest cannot be fetched, parsed or validated.
+ * `problems` holds one human-readable message per invalid field.
+ */
+export class SceneManifestError extends Error {
+	constructor(source, problems) {
+		super(
+			`Invalid scene manifest "${source}":\n${problems.map((p) => `  - ${p}`).join("\n")}`,
+		);
+		this.name = "SceneManifestError";
+		this.source = source;
+		this.problems = problems;
+	}
+}
+
+// ===================================================================================================
+// FIELD CHECKS
+// ===================================================================================================
+
+function isObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+	return typeof value === "number" && Number.isFinite(value);
+}
+
+function isNonEmptyString(value) {
+	return typeof value === "string" && value.trim().length > 0;
+}
+
+function isVector3(value) {
+	return Array.isArray(value) && value.length === 3 && value.every(isFiniteNumber);
+}
+
+/**
+ * Small helper that records problems against a dotted path
+ * (e.g. `characters[1].position`) and returns defaults for missing optionals
+ */
+function createChecker(problems) {
+	return {
+		required(object, key, path, test, expected) {
+			if (!(key in object)) {
+				problems.push(`${path}: missing required field`);
+				return undefined;
+			}
+			if (!test(object[key])) {
+				problems.push(`${path}: expected ${expected}, got ${JSON.stringify(object[key])}`);
+				return undefined;
+			}
+			return object[key];
+		},
+		optional(object, key, path, test, expected, fallback) {
+			if (!(key in object)) return fallback;
+			if (!test(object[key])) {
+				problems.push(`${path}: expected ${expected}, got ${JSON.stringify(object[key])}`);
+				return fallback;
+			}
+			return object[key];
+		},
+	};
+}
+
+function isPatternList(value) {
+	if (!Array.isArray(value) || !value.every(isNonEmptyString)) return false;
+	try {
+		value.forEach((pattern) => new RegExp(pattern, "i"));
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+// A clip name or a list of clip names played together
+function isClipNames(value) {
+	return isNonEmptyString(value) || (Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString));
+}
+
+function isColliderMode(value) {
+	return COLLIDER_MODES.includes(value);
+}
+
+function isPositiveNumber(value) {
+	return isFiniteNumber(value) && value > 0;
+}
+
+function isPositiveInteger(value) {
+	return Number.isInteger(value) && value > 0;
+}
+
+// A uniform scale or one per axis
+function isScale(value) {
+	return isFiniteNumber(value) || isVector3(value);
+}
+
+function degreesToRadians(vector) {
+	return vector.map((deg) => (deg * Math.PI) / 180);
+}
+
+// ===================================================================================================
+// VALIDATION
+// ===================================================================================================
+
+// Collider building options: the settings object itself, or one override
+function validateColliderOptions(options, path, check) {
+	const result = {};
+	const mode = check.optional(options, "mode", `${path}.mode`, isColliderMode, `one of ${COLLIDER_MODES.join(", ")}`);
+	const cellSize = check.optional(options, "cellSize", `${path}.cellSize`, isPositiveNumber, "a positive number");
+	const concavity = check.optional(options, "concavity", `${path}.concavity`, isPositiveNumber, "a positive number");
+	const maxParts = check.optional(options, "maxParts", `${path}.maxParts`, isPositiveInteger, "a positive integer");
+	if (mode !== undefined) result.mode = mode;
+	if (cellSize !== undefined) result.cellSize = cellSize;
+	if (concavity !== undefined) result.concavity = concavity;
+	if (maxParts !== undefined) result.maxParts = maxParts;
+	return result;
+}
+
+// Splat cut-out region: a box, a convex hull of points or a prop's shape
+function validateCutout(cutout, index, check, problems) {
+	const path = `environment.splats.cutouts[${index}]`;
+	if (!isObject(cutout)) {
+		problems.push(`${path}: expected an object`);
+		return null;
+	}
+
+	const shapes = ["box", "points", "prop"].filter((key) => key in cutout);
+	if (shapes.length !== 1) {
+		problems.push(`${path}: expected exactly one of box, points or prop`);
+		return null;
+	}
+
+	const result = {
+		padding: check.optional(cutout, "padding", `${path}.padding`, (v) => isFiniteNumber(v) && v >= 0, "a number ≥ 0", undefined),
+		attach: check.optional(cutout, "attach", `${path}.attach`, isNonEmptyString, "a prop id", undefined),
+		prop: check.optional(cutout, "prop", `${path}.prop`, isNonEmptyString, "a prop id", undefined),
+	};
+
+	const box = check.optional(cutout, "box", `${path}.box`, isObject, "an object", undefined);
+	if (box) {
+		result.box = {
+			center: check.required(box, "center", `${path}.box.center`, isVector3, "an array of 3 numbers"),
+			size: check.required(box, "size", `${path}.box.size`, isVector3, "an array of 3 numbers"),
+			rotation: degreesToRadians(
+				check.optional(box, "rotation", `${path}.box.rotation`, isVector3, "an array of 3 angles in degrees", [0, 0, 0]),
+			),
+		};
+	}
+
+	result.points = check.optional(
+		cutout,
+		"points",
+		`${path}.points`,
+		(v) => Array.isArray(v) && v.length >= 4 && v.every(isVector3),
+		"an array of at least 4 points",
+		undefined,
+	);
+	return result;
+}
+
+/**
+ * Where the splats sit relative to the collision mesh: `transform` as saved
+ * by the alignment tool, or the older bare `scale`, which also flips Y
+ * (splat files are stored upside down)
+ */
+function validateSplatTransform(splats, check, problems) {
+	const path = "environment.splats";
+	if ("scale" in splats && "transform" in splats) {
+		problems.push(`${path}.scale: give either scale or transform, not both`);
+	}
+
+	const transform = check.optional(splats, "transform", `${path}.transform`, isObject, "an object", undefined);
+	if (!transform) {
+		const scale = check.optional(splats, "scale", `${path}.scale`, isFiniteNumber, "a number", 1);
+		return { position: [0, 0, 0], rotation: [0, 0, 0], scale: [scale, -scale, scale] };
+	}
+
+	const scale = check.optional(transform, "scale", `${path}.transform.scale`, isScale, "a number or an array of 3 numbers", 1);
+	return {
+		position: check.optional(transform, "position", `${path}.transform.position`, isVector3, "an array of 3 numbers", [0, 0, 0]),
+		rotation: degreesToRadians(
+			check.optional(transform, "rotation", `${path}.transform.rotation`, isVector3, "an array of 3 angles in degrees", [0, 0, 0]),
+		),
+		scale: Array.isArray(scale) ? scale : [scale, scale, scale],
+	};
+}
+
+function validateColliders(colliders, check, problems) {
+	const path = "environment.collisionMesh.colliders";
+	const result = validateColliderOptions(colliders, path, check);
+
+	// Mesh name pattern → mode, or object with any of the options above
+	result.overrides = {};
+	const overrides = check.optional(colliders, "overrides", `${path}.overrides`, isObject, "an object", {});
+	for (const [pattern, value] of Object.entries(overrides)) {
+		const overridePath = `${path}.overrides["${pattern}"]`;
+		try {
+			new RegExp(pattern, "i");
+		} catch {
+			problems.push(`${overridePath}: invalid regular expression`);
+			continue;
+		}
+		if (isColliderMode(value)) {
+			result.overrides[pattern] = value;
+		} else if (isObject(value)) {
+			for (const key of Object.keys(value)) {
+				if (!COLLIDER_OPTIONS.includes(key)) {
+					problems.push(`${overridePath}.${key}: unknown option (use ${COLLIDER_OPTIONS.join(", ")})`);
+				}
+			}
+			result.overrides[pattern] = validateColliderOptions(value, overridePath, check);
+		} else {
+			problems.push(`${overridePath}: expected one of ${COLLIDER_MODES.join(", ")} or an options object`);
+		}
+	}
+
+	result.cache = check.optional(colliders, "cache", `${path}.cache`, (v) => typeof v === "boolean", "true or false", true);
+	result.cacheFile = check.optional(colliders, "cacheFile", `${path}.cacheFile`, isNonEmptyString, "a file URL", null);
+	return result;
+}
+
+function validateEnvironment(environment, check, problems) {
+	if (!isObject(environment)) {
+		problems.push("environment: missing required object");
+		return null;
+	}
+
+	const result = { splats: null, collisionMesh: null };
+
+	const splats = check.required(environment, "splats", "environment.splats", isObject, "an object");
+	if (splats) {
+		const cutouts = check.optional(splats, "cutouts", "environment.splats.cutouts", Array.isArray, "an array", []);
+		result.splats = {
+			url: check.required(splats, "url", "environment.splats.url", isNonEmptyString, "a file URL"),
+			transform: validateSplatTransform(splats, check, problems),
+			cutouts: cutouts.map((cutout, index) => validateCutout(cutout, index, check, problems)).filter(Boolean),
+		};
+	}
+
+	const mesh = check.required(
+		environment,
+		"collisionMesh",
+		"environment.collisionMesh",
+		isObject,
+		"an object",
+	);
+	if (mesh) {
+		result.collisionMesh = {
+			url: check.required(mesh, "url", "environment.collisionMesh.url", isNonEmptyString, "a file URL"),
+			restitution: check.optional(
+				mesh,
+				"restitution",
+				"environment.collisionMesh.restitution",
+				isFiniteNumber,
+				"a number",
+				0.6,
+			),
+			colliders: validateColliders(
+				check.optional(mesh, "colliders", "environment.collisionMesh.colliders", isObject, "an object", {}),
+				check,
+				problems,
+			),
+		};
+	}
+
+	return result;
+}
+
+function validateCharacter(character, index, check, problems) {
+	const path = `characters[${index}]`;
+	if (!isObject(character)) {
+		problems.push(`${path}: expected an object`);
+		return null;
+	}
+
+	const model = check.required(character, "model", `${path}.model`, isNonEmptyString, "a file URL");
+	if (model && !MODEL_EXTENSIONS.some((ext) => model.toLowerCase().endsWith(ext))) {
+		problems.push(`${path}.model: unsupported model format "${model}" (use ${MODEL_EXTENSIONS.join(", ")})`);
+	}
+
+	const voices = check.optional(
+		character,
+		"voices",
+		`${path}.voices`,
+		(v) => Array.isArray(v) && v.every(isNonEmptyString),
+		"an array of audio file URLs",
+		CHARACTER_DEFAULTS.voices,
+	);
+
+	const collider = check.optional(character, "collider", `${path}.collider`, isObject, "an object", {});
+
+	// State → clip names; "flinch" may also map each hit direction separately
+	const animations = check.optional(character, "animations", `${path}.animations`, isObject, "an object", {});
+	for (const [state, clips] of Object.entries(animations)) {
+		const statePath = `${path}.animations.${state}`;
+		if (!ANIMATION_STATES.includes(state)) {
+			problems.push(`${statePath}: unknown state (use ${ANIMATION_STATES.join(", ")})`);
+		} else if (state === "flinch" && isObject(clips)) {
+			for (const [direction, directionClips] of Object.entries(clips)) {
+				if (!FLINCH_DIRECTIONS.includes(direction)) {
+					problems.push(`${statePath}.${direction}: unknown direction (use ${FLINCH_DIRECTIONS.join(", ")})`);
+				} else if (!isClipNames(directionClips)) {
+					problems.push(`${statePath}.${direction}: expected a clip name or an array of clip names`);
+				}
+			}
+		} else if (!isClipNames(clips)) {
+			problems.push(`${statePath}: expected a clip name or an array of clip names`);
+		}
+	}
+
+	return {
+		id: check.required(character, "id", `${path}.id`, isNonEmptyString, "a non-empty string"),
+		model,
+		position: check.required(character, "position", `${path}.position`, isVector3, "an array of 3 numbers"),
+		rotation: degreesToRadians(
+			check.optional(
+				character,
+				"rotation",
+				`${path}.rotation`,
+				isVector3,
+				"an array of 3 angles in degrees",
+				CHARACTER_DEFAULTS.rotation,
+			),
+		),
+		scale: check.optional(
+			character,
+			"scale",
+			`${path}.scale`,
+			isVector3,
+			"an array of 3 numbers",
+			CHARACTER_DEFAULTS.scale,
+		),
+		brightness: check.optional(
+			character,
+			"brightness",
+			`${path}.brightness`,
+			isFiniteNumber,
+			"a number",
+			CHARACTER_DEFAULTS.brightness,
+		),
+		voices: [...voices],
+		animations: { ...animations },
+		collider: {
+			radius: check.optional(
+				collider,
+				"radius",
+				`${path}.collider.radius`,
+				(v) => isFiniteNumber(v) && v > 0,
+				"a positive number",
+				CHARACTER_DEFAULTS.colliderRadius,
+			),
+			// Bone name patterns; a missing `exclude` keeps the engine's default list
+			include: check.optional(
+				collider,
+				"include",
+				`${path}.collider.include`,
+				isPatternList,
+				"an array of regular expressions",
+				[],
+			),
+			exclude: check.optional(
+				collider,
+				"exclude",
+				`${path}.collider.exclude`,
+				isPatternList,
+				"an array of regular expressions",
+				undefined,
+			),
+		},
+	};
+}
+
+function validateProp(prop, index, check, problems) {
+	const path = `props[${index}]`;
+	if (!isObject(prop)) {
+		problems.push(`${path}: expected an object`);
+		return null;
+	}
+
+	const model = check.required(prop, "model", `${path}.model`, isNonEmptyString, "a file URL");
+	if (model && !PROP_MODEL_EXTENSIONS.some((ext) => model.toLowerCase().endsWith(ext))) {
+		problems.push(`${path}.model: unsupported model format "${model}" (use ${PROP_MODEL_EXTENSIONS.join(", ")})`);
+	}
+
+	return {
+		id: check.optional(prop, "id", `${path}.id`, isNonEmptyString, "a non-empty string", undefined),
+		model,
+		position: check.required(prop, "position", `${path}.position`, isVector3, "an array of 3 numbers"),
+		rotation: degreesToRadians(
+			check.optional(
+				prop,
+				"rotation",
+				`${path}.rotation`,
+				isVector3,
+				"an array of 3 angles in degrees",
+				PROP_DEFAULTS.rotation,
+			),
+		),
+		scale: check.optional(prop, "scale", `${path}.scale`, isVector3, "an array of 3 numbers", PROP_DEFAULTS.scale),
+		// Checked against config.PROPS.MATERIALS when the prop is created
+		material: check.optional(prop, "material", `${path}.material`, isNonEmptyString, "a material name", undefined),
+		collider: check.optional(
+			prop,
+			"collider",
+			`${path}.collider`,
+			(v) => PROP_COLLIDER_MODES.includes(v),
+			`one of ${PROP_COLLIDER_MODES.join(", ")}`,
+			undefined,
+		),
+		cutout: check.optional(
+			prop,
+			"cutout",
+			`${path}.cutout`,
+			(v) => PROP_CUTOUTS.includes(v),
+			`one of ${PROP_CUTOUTS.join(", ")}`,
+			undefined,
+		),
+	};
+}
+
+/**
+ * Validates a parsed manifest and returns a normalized copy with defaults
+ * filled in and angles converted to radians.
+ * Throws a SceneManifestError listing every problem found.
+ */
+export function validateSceneManifest(data, source = "<inline>") {
+	const problems = [];
+	const check = createChecker(problems);
+
+	if (!isObject(data)) {
+		throw new SceneManifestError(source, ["root: expected a JSON object"]);
+	}
+
+	const name = check.optional(data, "name", "name", isNonEmptyString, "a string", source);
+	const environment = validateEnvironment(data.environment, check, problems);
+
+	const rawCharacters = check.optional(data, "characters", "characters", Array.isArray, "an array", []);
+	const characters = rawCharacters.map((character, index) =>
+		validateCharacter(character, index, check, problems),
+	);
+
+	const rawProps = check.optional(data, "props", "props", Array.isArray, "an array", []);
+	const props = rawProps.map((prop, index) => validateProp(prop, index, check, problems));
+
+	// Character ids key voice sets, cooldowns and colliders, so they must be unique
+	const seenIds = new Set();
+	characters.forEach((character, index) => {
+		if (!character?.id) return;
+		if (seenIds.has(character.id)) {
+			problems.push(`characters[${index}].id: duplicate id "${character.id}"`);
+		}
+		seenIds.add(character.id);
+	});
+
+	// Cut-out regions look props up by id, so prop ids must be unique too
+	const seenPropIds = new Set();
+	props.forEach((prop, index) => {
+		if (!prop?.id) return;
+		if (seenPropIds.has(prop.id)) {
+			problems.push(`props[${index}].id: duplicate id "${prop.id}"`);
+		}
+		seenPropIds.add(prop.id);
+	});
+
+	if (problems.length > 0) throw new SceneManifestError(source, problems);
+
+	return {
+		name,
+		environment,
+		characters,
+		props,
+	};
+}
+
+/**
+ * Fetches, parses and validates a scene manifest
+ */
+export async function loadSceneManifest(url) {
+	let response;
+	try {
+		response = await fetch(url);
+	} catch (error) {
+		throw new SceneManifestError(url, [`could not be fetched (${error.message})`]);
+	}
+	if (!response.ok) {
+		throw new SceneManifestError(url, [`could not be fetched (HTTP ${response.status})`]);
+	}
+
+	let data;
+	try {
+		data = await response.json();
+	} catch (error) {
+		throw new SceneManifestError(url, [`is not valid JSON (${error.message})`]);
+	}
+
+	return validateSceneManifest(data, url);
+}
+
+/**
+ * Resolves the manifest URL from the `?scene=` query parameter
+ */
+export function getSceneUrl(search = window.location.search) {
+	return new URLSearchParams(search).get("scene") || DEFAULT_SCENE_URL;
+}
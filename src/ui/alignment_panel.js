@@ -0,0 +1,133 @@
+import { GIZMO_MODES } from "../engine/splat_alignment.js";
+
+/**
+ * Alignment panel - controls of the splat alignment tool: gizmo mode,
+ * collision mesh and splat opacity, the ICP fit and saving the manifest
+ */
+
+const GIZMO_LABELS = {
+	translate: "Move",
+	rotate: "Rotate",
+	scale: "Scale",
+};
+
+export function createAlignmentPanel({ alignment, estimateScale = true, visible = false }) {
+	const element = document.createElement("div");
+	element.id = "alignment-panel";
+	Object.assign(element.style, {
+		position: "absolute",
+		bottom: "10px",
+		right: "10px",
+		padding: "10px 12px",
+		borderRadius: "4px",
+		background: "rgba(0, 0, 0, 0.7)",
+		color: "#ffffff",
+		fontFamily: "sans-serif",
+		fontSize: "13px",
+		zIndex: 3,
+		display: visible ? "block" : "none",
+	});
+
+	const title = document.createElement("div");
+	title.textContent = "Splat alignment";
+	title.style.fontWeight = "bold";
+	title.style.marginBottom = "6px";
+	element.appendChild(title);
+
+	function addRow(label, ...inputs) {
+		const row = document.createElement("label");
+		Object.assign(row.style, {
+			display: "flex",
+			alignItems: "center",
+			justifyContent: "space-between",
+			gap: "10px",
+			margin: "4px 0",
+		});
+		row.append(label, ...inputs);
+		element.appendChild(row);
+	}
+
+	function createButton(label, onClick) {
+		const button = document.createElement("button");
+		button.textContent = label;
+		button.addEventListener("click", onClick);
+		return button;
+	}
+
+	function createSlider(value, onInput) {
+		const slider = document.createElement("input");
+		slider.type = "range";
+		slider.min = "0";
+		slider.max = "100";
+		slider.value = String(Math.round(value * 100));
+		slider.addEventListener("input", () => onInput(Number(slider.value) / 100));
+		return slider;
+	}
+
+	const gizmoMode = document.createElement("select");
+	for (const mode of GIZMO_MODES) gizmoMode.add(new Option(GIZMO_LABELS[mode], mode));
+	gizmoMode.addEventListener("change", () => alignment.setGizmoMode(gizmoMode.value));
+	addRow("Gizmo", gizmoMode);
+
+	addRow("Mesh opacity", createSlider(alignment.meshOpacity, alignment.setMeshOpacity));
+	addRow("Splat opacity", createSlider(1, alignment.setSplatOpacity));
+
+	const wireframe = document.createElement("input");
+	wireframe.type = "checkbox";
+	wireframe.addEventListener("change", () => alignment.setWireframe(wireframe.checked));
+	addRow("Wireframe", wireframe);
+
+	const fitScale = document.createElement("input");
+	fitScale.type = "checkbox";
+	fitScale.checked = estimateScale;
+	addRow("Fit scale", fitScale);
+
+	const status = document.createElement("div");
+	Object.assign(status.style, { marginTop: "6px", maxWidth: "220px", whiteSpace: "pre-wrap" });
+
+	function showTransform() {
+		const { position, rotation, scale } = alignment.getTransform();
+		status.textContent = `Position ${position.join(", ")}\nRotation ${rotation.join(", ")}°\nScale ${scale.join(", ")}`;
+	}
+
+	const buttons = document.createElement("div");
+	Object.assign(buttons.style, { display: "flex", gap: "6px", marginTop: "6px" });
+	buttons.append(
+		createButton("Fit to mesh", () => {
+			try {
+				const { iterations, pairs, error } = alignment.fit({ estimateScale: fitScale.checked });
+				showTransform();
+				status.textContent += `\n${pairs} splats, ${iterations} steps, error ${error.toFixed(3)} m`;
+			} catch (error) {
+				status.textContent = `Cannot fit: ${error.message}`;
+			}
+		}),
+		createButton("Reset", () => {
+			alignment.reset();
+			showTransform();
+		}),
+		createButton("Save scene", () => {
+			alignment.downloadManifest().catch((error) => {
+				status.textContent = `Cannot save: ${error.message}`;
+			});
+		}),
+	);
+	element.append(buttons, status);
+
+	document.body.appendChild(element);
+
+	function toggle() {
+		visible = !visible;
+		element.style.display = visible ? "block" : "none";
+		if (visible) showTransform();
+	}
+
+	return {
+		element,
+		toggle,
+		showTransform,
+		get visible() {
+			return visible;
+		},
+	};
+}
@@ -0,0 +1,83 @@
+import { MIXER_BUSES } from "../engine/audio_mixer.js";
+
+/**
+ * Audio settings - a panel with a volume slider per mixer bus and a mute
+ * switch; changes apply immediately and are saved by the mixer
+ */
+
+const LABELS = {
+	master: "Master",
+	music: "Music",
+	sfx: "Effects",
+	voice: "Voices",
+};
+
+export function createAudioSettingsPanel({ mixer, visible = false }) {
+	const element = document.createElement("div");
+	element.id = "audio-settings";
+	Object.assign(element.style, {
+		position: "absolute",
+		top: "10px",
+		right: "10px",
+		padding: "10px 12px",
+		borderRadius: "4px",
+		background: "rgba(0, 0, 0, 0.7)",
+		color: "#ffffff",
+		fontFamily: "sans-serif",
+		fontSize: "13px",
+		zIndex: 3,
+		display: visible ? "block" : "none",
+	});
+
+	const title = document.createElement("div");
+	title.textContent = "Audio";
+	title.style.fontWeight = "bold";
+	title.style.marginBottom = "6px";
+	element.appendChild(title);
+
+	function addRow(label, input) {
+		const row = document.createElement("label");
+		Object.assign(row.style, {
+			display: "flex",
+			alignItems: "center",
+			justifyContent: "space-between",
+			gap: "10px",
+			margin: "4px 0",
+		});
+		row.append(label, input);
+		element.appendChild(row);
+	}
+
+	for (const bus of MIXER_BUSES) {
+		const slider = document.createElement("input");
+		slider.type = "range";
+		slider.min = "0";
+		slider.max = "100";
+		slider.value = String(Math.round(mixer.settings[bus] * 100));
+		slider.addEventListener("input", () => {
+			mixer.setVolume(bus, Number(slider.value) / 100);
+		});
+		addRow(LABELS[bus], slider);
+	}
+
+	const mute = document.createElement("input");
+	mute.type = "checkbox";
+	mute.checked = mixer.settings.muted;
+	mute.addEventListener("change", () => mixer.setMuted(mute.checked));
+	addRow("Mute", mute);
+
+	document.body.appendChild(element);
+
+	function toggle() {
+		visible = !visible;
+		element.style.display = visible ? "block" : "none";
+	}
+
+	return {
+		element,
+		toggle,
+		get visible() {
+			return visible;
+		},
+	};
+}
@@ -0,0 +1,44 @@
+/**
+ * HUD - short on-screen notices for hotkey feedback (display mode, stereo settings, …)
+ */
+
+let toastElement = null;
+let hideTimer = null;
+
+function getToastElement() {
+	if (toastElement) return toastElement;
+
+	toastElement = document.createElement("div");
+	toastElement.id = "toast";
+	Object.assign(toastElement.style, {
+		position: "absolute",
+		bottom: "20px",
+		left: "50%",
+		transform: "translateX(-50%)",
+		padding: "6px 12px",
+		borderRadius: "4px",
+		background: "rgba(0, 0, 0, 0.6)",
+		color: "#ffffff",
+		fontFamily: "sans-serif",
+		fontSize: "14px",
+		pointerEvents: "none",
+		zIndex: 2,
+		display: "none",
+	});
+	document.body.appendChild(toastElement);
+	return toastElement;
+}
+
+/**
+ * Shows a message at the bottom of the screen for `duration` milliseconds
+ */
+export function showToast(message, duration = 1500) {
+	const element = getToastElement();
+	element.textContent = message;
+	element.style.display = "block";
+
+	clearTimeout(hideTimer);
+	hideTimer = setTimeout(() => {
+		element.style.display = "none";
+	}, duration);
+}
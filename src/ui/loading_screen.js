@@ -0,0 +1,194 @@
+/**
+ * Loading screen - download progress for every asset, taking over the
+ * page's #loading element
+ *
+ * Lists each file the asset manager downloads with its byte progress and
+ * shows the overall percentage. Once the `required` files are in, a "Play
+ * now" button lets the player start while the rest keeps loading; the screen
+ * also goes away by itself when everything has loaded.
+ *
+ * Progress events arrive for every downloaded chunk, so they are gathered
+ * into one redraw per animation frame.
+ *
+ * Failed downloads open an error panel, even after the screen was closed
+ * (audio only starts loading on the first click), with buttons to retry them
+ * or to carry on without them.
+ */
+
+const BAR_WIDTH = 160; // pixels
+
+function formatMegabytes(bytes) {
+	return (bytes / (1024 * 1024)).toFixed(1);
+}
+
+function fileName(url) {
+	return url.split("/").pop();
+}
+
+function createButton(label, onClick) {
+	const button = document.createElement("button");
+	button.textContent = label;
+	Object.assign(button.style, {
+		margin: "8px 4px 0",
+		padding: "6px 14px",
+		fontSize: "14px",
+		cursor: "pointer",
+	});
+	button.addEventListener("click", onClick);
+	return button;
+}
+
+export function createLoadingScreen({
+	element = document.getElementById("loading"),
+	assets,
+	required = [],
+	onPlay,
+}) {
+	element.replaceChildren();
+	Object.assign(element.style, {
+		display: "block",
+		minWidth: "360px",
+		padding: "16px 20px",
+		borderRadius: "6px",
+		background: "rgba(0, 0, 0, 0.75)",
+		fontSize: "14px",
+	});
+
+	const spinner = document.createElement("div");
+	spinner.className = "spinner";
+	const title = document.createElement("div");
+	title.style.fontSize = "18px";
+	title.style.marginBottom = "10px";
+	const list = document.createElement("div");
+	list.style.textAlign = "left";
+
+	const playButton = createButton("Play now", () => {
+		dismissed = true;
+		update();
+		onPlay?.();
+	});
+
+	const errorPanel = document.createElement("div");
+	Object.assign(errorPanel.style, {
+		marginTop: "12px",
+		padding: "8px",
+		borderRadius: "4px",
+		background: "rgba(160, 30, 30, 0.6)",
+		textAlign: "left",
+	});
+	const errorList = document.createElement("div");
+	errorList.style.whiteSpace = "pre-wrap";
+	const errorButtons = document.createElement("div");
+	errorButtons.style.textAlign = "center";
+	errorButtons.append(
+		createButton("Retry", () => assets.retry()),
+		createButton("Continue without", () => assets.skip()),
+	);
+	errorPanel.append(errorList, errorButtons);
+
+	element.append(spinner, title, list, playButton, errorPanel);
+
+	const rows = new Map(); // url → { row, bar, label }
+	let dismissed = false;
+
+	function getRow(url) {
+		if (rows.has(url)) return rows.get(url);
+
+		const row = document.createElement("div");
+		Object.assign(row.style, {
+			display: "flex",
+			alignItems: "center",
+			gap: "8px",
+			margin: "3px 0",
+			fontFamily: "monospace",
+			fontSize: "12px",
+		});
+		const name = document.createElement("span");
+		name.textContent = fileName(url);
+		name.style.flex = "1";
+		const track = document.createElement("div");
+		Object.assign(track.style, {
+			width: `${BAR_WIDTH}px`,
+			height: "6px",
+			background: "rgba(255, 255, 255, 0.2)",
+		});
+		const bar = document.createElement("div");
+		Object.assign(bar.style, { height: "100%", width: "0", background: "#3498db" });
+		track.appendChild(bar);
+		const label = document.createElement("span");
+		label.style.minWidth = "110px";
+		label.style.textAlign = "right";
+		row.append(name, track, label);
+		list.appendChild(row);
+
+		const entry = { row, bar, label };
+		rows.set(url, entry);
+		return entry;
+	}
+
+	function update(progress = assets.progress()) {
+		for (const file of progress.files) {
+			const { bar, label } = getRow(file.url);
+			const fraction =
+				file.state === "loaded" ? 1 : file.total > 0 ? file.loaded / file.total : 0;
+			bar.style.width = `${Math.round(fraction * BAR_WIDTH)}px`;
+			bar.style.background = file.state === "failed" ? "#e74c3c" : "#3498db";
+			label.textContent =
+				file.state === "failed"
+					? "failed"
+					: file.state === "queued"
+						? "waiting"
+						: file.total > 0
+							? `${formatMegabytes(file.loaded)} / ${formatMegabytes(file.total)} MB`
+							: `${formatMegabytes(file.loaded)} MB`;
+		}
+		// Skipped files are no longer tracked
+		for (const [url, { row }] of rows) {
+			if (!progress.files.some((file) => file.url === url)) {
+				row.remove();
+				rows.delete(url);
+			}
+		}
+
+		const percent = progress.total > 0 ? Math.floor((100 * progress.loaded) / progress.total) : 0;
+		title.textContent =
+			progress.pending > 0 ? `Loading… ${percent}%` : `Loaded ${progress.files.length} files`;
+
+		const failedFiles = progress.files.filter((file) => file.state === "failed");
+		errorPanel.style.display = failedFiles.length > 0 ? "block" : "none";
+		errorList.textContent =
+			"Some files could not be loaded:\n" +
+			failedFiles.map((file) => `  ${file.error?.message ?? fileName(file.url)}`).join("\n");
+
+		const ready = required.every((url) =>
+			progress.files.some((file) => file.url === url && file.state === "loaded"),
+		);
+		const done = progress.pending === 0 && failedFiles.length === 0;
+		if (ready && done) dismissed = true;
+
+		// Without a required file (skipped) the player may still go ahead
+		playButton.style.display = ready || done ? "inline-block" : "none";
+		spinner.style.display = progress.pending > 0 ? "block" : "none";
+		// Errors reopen the screen even after it was dismissed
+		element.style.display = !dismissed || failedFiles.length > 0 ? "block" : "none";
+	}
+
+	let updateScheduled = false;
+	function scheduleUpdate() {
+		if (updateScheduled) return;
+		updateScheduled = true;
+		requestAnimationFrame(() => {
+			updateScheduled = false;
+			update();
+		});
+	}
+
+	assets.on("progress", scheduleUpdate);
+	assets.on("error", () => update());
+	update();
+
+	return {
+		element,
+		update,
+	};
+}
@@ -0,0 +1,53 @@
+import { showToast } from "./hud.js";
+
+/**
+ * Physics banner - explains that the app runs without physics (Rapier failed
+ * to initialize) and offers to try again
+ *
+ * `onRetry` is async and throws when physics is still unavailable; the
+ * banner goes away once it succeeds.
+ */
+export function createPhysicsBanner({ onRetry }) {
+	const element = document.createElement("div");
+	element.id = "physics-banner";
+	Object.assign(element.style, {
+		position: "absolute",
+		top: "0",
+		left: "0",
+		right: "0",
+		padding: "8px 12px",
+		background: "rgba(180, 110, 0, 0.9)",
+		color: "#ffffff",
+		fontFamily: "sans-serif",
+		fontSize: "14px",
+		textAlign: "center",
+		zIndex: 3,
+	});
+
+	const message = document.createElement("span");
+	message.textContent =
+		"Physics is unavailable: you can look around, but shooting and collisions are disabled.";
+
+	const button = document.createElement("button");
+	button.textContent = "Retry";
+	Object.assign(button.style, { marginLeft: "12px", cursor: "pointer" });
+
+	button.addEventListener("click", async () => {
+		button.disabled = true;
+		button.textContent = "Retrying…";
+		try {
+			await onRetry();
+			element.remove();
+			showToast("Physics enabled");
+		} catch (error) {
+			console.error("Physics still unavailable:", error);
+			message.textContent = `Physics is still unavailable (${error.message}).`;
+			button.disabled = false;
+			button.textContent = "Retry";
+		}
+	});
+
+	element.append(message, button);
+	document.body.appendChild(element);
+	return { element };
+}
@@ -0,0 +1,75 @@
+/**
+ * Stats overlay - a small top-left panel of live counters (frame rate,
+ * projectiles, rigid bodies, …); `side: "right"` puts it top-right
+ *
+ * Values are set every frame but the text is only rewritten a few times per
+ * second, so the overlay stays readable and cheap.
+ */
+
+const REFRESH_INTERVAL = 0.25; // seconds
+
+export function createStatsOverlay({ visible = true, id = "stats", side = "left" } = {}) {
+	const element = document.createElement("div");
+	element.id = id;
+	Object.assign(element.style, {
+		position: "absolute",
+		top: "10px",
+		[side]: "10px",
+		padding: "6px 8px",
+		borderRadius: "4px",
+		background: "rgba(0, 0, 0, 0.5)",
+		color: "#ffffff",
+		fontFamily: "monospace",
+		fontSize: "12px",
+		lineHeight: "1.4",
+		whiteSpace: "pre",
+		pointerEvents: "none",
+		zIndex: 2,
+		display: visible ? "block" : "none",
+	});
+	document.body.appendChild(element);
+
+	const values = new Map([["FPS", 0]]);
+	let sinceRefresh = 0;
+	let frames = 0;
+
+	function set(label, value) {
+		values.set(label, value);
+	}
+
+	function refresh() {
+		const width = Math.max(...[...values.keys()].map((label) => label.length));
+		element.textContent = [...values]
+			.map(([label, value]) => `${label.padEnd(width)}  ${value}`)
+			.join("\n");
+	}
+
+	// Call once per rendered frame with the real (unscaled) frame time
+	function update(deltaTime) {
+		frames++;
+		sinceRefresh += deltaTime;
+		if (sinceRefresh < REFRESH_INTERVAL) return;
+
+		values.set("FPS", Math.round(frames / sinceRefresh));
+		frames = 0;
+		sinceRefresh = 0;
+
+		if (visible) refresh();
+	}
+
+	function toggle() {
+		visible = !visible;
+		element.style.display = visible ? "block" : "none";
+		if (visible) refresh();
+	}
+
+	return {
+		element,
+		set,
+		update,
+		toggle,
+		get visible() {
+			return visible;
+		},
+	};
+}